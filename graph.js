@@ -0,0 +1,217 @@
+// -------------------------------
+//           TinyGraph
+//   graph model, no p5 needed
+// -------------------------------
+// Nodes, edges and change events. The sketch draws a Graph and listens to its
+// events; anything else (Node.js scripts, tests) can use it on its own:
+//
+//   const { Graph } = require('./graph.js');
+//   const graph = new Graph({ directed: true });
+//   const a = graph.addNode({ label: "a" });
+//   const b = graph.addNode({ label: "b" });
+//   graph.addEdge({ a, b: b.id, weight: 2 });
+//   graph.neighbors(a); // [b]
+//
+// Nodes and edges are plain objects (the sketch adds its Node and Edge classes).
+// A node added without an `id` gets one higher than any before it. Ids are
+// unique and never change, so they are safe to keep as references; labels are
+// just for display. An edge names its ends as `a` and `b`, either the nodes
+// themselves or their ids. Two nodes have at most one edge a → b; in undirected
+// graphs that one edge also stands for b → a.
+//
+// `nodes` and `edges` are kept in insertion order and are never replaced, so
+// they can be read directly. Change them only through the methods below.
+//
+// Events, each listener gets one object describing the change:
+//   nodeadded   { node, index }    noderemoved { node, index }
+//   edgeadded   { edge, index }    edgeremoved { edge, index }
+//   modechanged { directed, weighted }
+//   cleared     {}
+//   change      { type, ... }, after every one of the above
+class Graph {
+  constructor({ directed = false, weighted = false } = {}) {
+    this.directed = directed;
+    this.weighted = weighted;
+    this.nodes = [];
+    this.edges = [];
+    this.nextId = 1;
+    this.nodesById = new Map();
+    this.incident = new Map();  // node -> Set of the edges touching it
+    this.listeners = new Map(); // event type -> Set of listeners
+  }
+
+  // -- Events --
+  on(type, listener){
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(listener);
+    return () => this.off(type, listener);
+  }
+  off(type, listener){
+    const listeners = this.listeners.get(type);
+    if (listeners) listeners.delete(listener);
+  }
+  emit(type, event = {}){
+    const listeners = this.listeners.get(type);
+    if (listeners) for (const listener of [...listeners]) listener(event);
+    if (type !== 'change') this.emit('change', { type, ...event });
+  }
+
+  // -- Nodes --
+  addNode(node = {}, index = this.nodes.length){
+    if (this.incident.has(node)) throw new Error(`Node ${node.id} is already in the graph.`);
+    if (node.id === undefined || node.id === null || node.id === "") node.id = this.nextId;
+    if (!Number.isInteger(node.id) || node.id < 1) throw new Error(`Node id must be a positive whole number, not "${node.id}".`);
+    if (this.nodesById.has(node.id)) throw new Error(`There is already a node with id ${node.id}.`);
+
+    this.nextId = Math.max(this.nextId, node.id + 1);
+    this.nodes.splice(index, 0, node);
+    this.nodesById.set(node.id, node);
+    this.incident.set(node, new Set());
+    this.emit('nodeadded', { node, index });
+    return node;
+  }
+  removeNode(node){
+    return this.removeNodes([node])[0] || null;
+  }
+  removeNodes(list){
+    // Removes their edges first; returns the nodes that were in the graph
+    const doomed = new Set();
+    for (const item of list) {
+      const node = this.getNode(item);
+      if (node) doomed.add(node);
+    }
+    if (doomed.size === 0) return [];
+
+    const edges = new Set();
+    for (const node of doomed) for (const edge of this.incident.get(node)) edges.add(edge);
+    this.removeEdges(edges);
+
+    for (const { item: node, index } of Graph.#removeFromList(this.nodes, doomed)) {
+      this.nodesById.delete(node.id);
+      this.incident.delete(node);
+      this.emit('noderemoved', { node, index });
+    }
+    return [...doomed];
+  }
+  getNode(node){
+    // Accepts a node or an id; undefined if it isn't in the graph
+    if (typeof node === 'number') return this.nodesById.get(node);
+    return this.incident.has(node) ? node : undefined;
+  }
+  hasNode(node){
+    return this.getNode(node) !== undefined;
+  }
+
+  // -- Edges --
+  addEdge(edge, index = this.edges.length){
+    const a = this.getNode(edge.a);
+    const b = this.getNode(edge.b);
+    const name = `${a ? a.id : edge.a} → ${b ? b.id : edge.b}`;
+    if (!a || !b) throw new Error(`Edge ${name} uses a node that isn't in the graph.`);
+    if (a === b) throw new Error(`Edge ${name} is a self-loop, those aren't supported.`);
+    const existing = this.findEdge(a, b);
+    if (existing === edge) throw new Error(`Edge ${name} is already in the graph.`);
+    if (existing) throw new Error(`There is already an edge ${existing.a.id} → ${existing.b.id}, it can't have a parallel edge ${name}.`);
+
+    edge.a = a;
+    edge.b = b;
+    this.edges.splice(index, 0, edge);
+    this.incident.get(a).add(edge);
+    this.incident.get(b).add(edge);
+    this.emit('edgeadded', { edge, index });
+    return edge;
+  }
+  removeEdge(edge){
+    return this.removeEdges([edge])[0] || null;
+  }
+  removeEdges(list){
+    // Returns the edges that were in the graph
+    const doomed = new Set([...list].filter(edge => this.hasEdge(edge)));
+    if (doomed.size === 0) return [];
+
+    for (const { item: edge, index } of Graph.#removeFromList(this.edges, doomed)) {
+      this.incident.get(edge.a).delete(edge);
+      this.incident.get(edge.b).delete(edge);
+      this.emit('edgeremoved', { edge, index });
+    }
+    return [...doomed];
+  }
+  hasEdge(edge){
+    const edges = edge && this.incident.get(edge.a);
+    return edges !== undefined && edges.has(edge);
+  }
+  findEdge(from, to){
+    // The edge from → to; in undirected graphs also to → from
+    const a = this.getNode(from);
+    const b = this.getNode(to);
+    if (!a || !b) return undefined;
+    for (const edge of this.incident.get(a)) {
+      if (edge.a === a && edge.b === b) return edge;
+      if (!this.directed && edge.a === b && edge.b === a) return edge;
+    }
+    return undefined;
+  }
+  edgesOf(node){
+    const edges = this.incident.get(this.getNode(node));
+    return edges ? [...edges] : [];
+  }
+
+  // -- Queries --
+  neighbors(node){
+    // Nodes one edge away; only along outgoing edges in directed graphs
+    const self = this.getNode(node);
+    const found = new Set();
+    for (const edge of this.edgesOf(self)) {
+      if (edge.a === self) found.add(edge.b);
+      else if (!this.directed) found.add(edge.a);
+    }
+    return [...found];
+  }
+  degree(node){
+    // Every edge touching the node, incoming and outgoing alike
+    return this.edgesOf(node).length;
+  }
+  inDegree(node){
+    const self = this.getNode(node);
+    return this.directed ? this.edgesOf(self).filter(edge => edge.b === self).length : this.degree(self);
+  }
+  outDegree(node){
+    const self = this.getNode(node);
+    return this.directed ? this.edgesOf(self).filter(edge => edge.a === self).length : this.degree(self);
+  }
+
+  // -- Whole graph --
+  setMode({ directed = this.directed, weighted = this.weighted }){
+    // Reciprocal edges would be parallel once undirected, remove one of them first
+    if (directed === this.directed && weighted === this.weighted) return;
+    if (!directed && this.directed) {
+      const twin = this.edges.find(edge => this.findEdge(edge.b, edge.a));
+      if (twin) throw new Error(`Edges ${twin.a.id} → ${twin.b.id} and ${twin.b.id} → ${twin.a.id} would be parallel in an undirected graph.`);
+    }
+    this.directed = directed;
+    this.weighted = weighted;
+    this.emit('modechanged', { directed, weighted });
+  }
+  clear(){
+    // Also starts ids from 1 again, nothing refers to the old nodes anymore
+    this.nodes.length = 0;
+    this.edges.length = 0;
+    this.nextId = 1;
+    this.nodesById.clear();
+    this.incident.clear();
+    this.emit('cleared');
+  }
+  static #removeFromList(list, doomed){
+    // Compacts the list in place, returns the removed items with their old index
+    const removed = [];
+    let kept = 0;
+    list.forEach((item, index) => {
+      if (doomed.has(item)) removed.push({ item, index });
+      else list[kept++] = item;
+    });
+    list.length = kept;
+    return removed;
+  }
+}
+
+if (typeof module !== 'undefined') module.exports = { Graph };
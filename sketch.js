@@ -23,49 +23,227 @@
 // > id !== label
 // > node preview
 // > help text
+// -[v.26.10.19]----------[ljzh04]-
+// > Edge model: directed/undirected,
+//   weights and labels
+// > Representation panel: adjacency list/matrix,
+//   edge list, incidence matrix (live + editable)
+// > BFS/DFS traversal visualizer with playback
+// > Shortest paths: Dijkstra, Bellman-Ford, A*
+//   (point to point, all distances, farthest node)
+// > Node inspector: label, color, radius, physics,
+//   custom attributes
+// > Force-directed layout (live or run until stable)
+// > Calm mode (no physics)
+// > Spatial grid for repulsion and hit-testing,
+//   skip drawing off-screen nodes and edges
+// > Multi-select (Shift+click, Shift+drag box),
+//   group move/delete, copy/cut/paste
+// > Edge hover, selection, deletion, split
+// > Import/export DOT, GraphML, GEXF,
+//   CSV edge list and TGF
+// > SVG and high-resolution PNG export
+// > Versioned save format: migration from
+//   older files, validation with clear errors
+// > Autosave with restore offer on startup,
+//   "My graphs" library with thumbnails
+// > Diff-based command history (thousands of
+//   labelled steps) with a history panel
+// > Graph model moved to graph.js (no p5):
+//   stable ids, change events
+// > Analysis panel: counts, degrees, density,
+//   components, cycles, bipartiteness, diameter,
+//   radius, bridges, articulation points
+// > Tree mode: parent/child edges only, roots,
+//   top-down tree layout, collapsible subtrees,
+//   pre/in/post/level-order traversals
+// > Minimum spanning trees: Kruskal (union-find
+//   sets) and Prim (priority queue) playback
+// > Max flow: Edmonds-Karp / Ford-Fulkerson with
+//   augmenting paths, flow/capacity, residual
+//   graph and the minimum cut
+// > Graph generators: complete, cycle, path, star,
+//   wheel, grid, bipartite, G(n, p), Barabási-Albert,
+//   random tree, hypercube, Petersen
+// > Command registry: rebindable hotkeys (saved),
+//   Ctrl+K command palette, help built from it
+// > Touch and pen: tap, drag, pinch zoom,
+//   two-finger pan, long-press context menu
+// > Fit graph / fit selection with animated camera,
+//   double-click to center a node, minimap
+// > Search by label or regex, filters like
+//   "degree > 3 and color = red", fade or hide
+//   the rest, select the matches
+// > Styles: light/dark/high-contrast themes,
+//   node shapes, dashed edges, color/size/width
+//   rules, saved with the graph
 // -[USAGE]----------------------
 // Left Click   -- add node
-// Right Click  -- remove node
+// Right Click  -- remove node/edge
 // Drag         -- move node
+// Shift + Click -- add/remove node from selection
+// Shift + Drag -- box select
 // Space + Drag -- pan camera
 // Scroll up    -- zoom out
 // Scroll down  -- zoom in
-// -[TODO]------------------------
-// > display: adjacecy list, adjacency matrix, edge list, incidence matrix, obj
-// > undirected | directed mode
-// > weighted | unweighted mode
-// > tree | graph mode
-// > traversal visualizer
-// > path visualizer (nearest, farthest, pt to pt)
-// > interactive node property inspector
-// > disable physics mode
 
 // -------------------------------
 //  GLOBALS & CONSTANTS
 // -------------------------------
 // -- Configuration --
-const BG_COLOR = 50;
 const MAX_ZOOM = 5;
 const MIN_ZOOM = 0.2;
-const HISTORY_LIMIT = 50;
+const FIT_MAX_ZOOM = 2;            // fitting a node or two doesn't zoom all the way in
+const FIT_MARGIN = 40;             // px left free around fitted nodes
+const CAMERA_ANIMATION_TIME = 400; // ms
+const MINIMAP_WIDTH = 200;
+const MINIMAP_HEIGHT = 140;
+const MINIMAP_EDGE_LIMIT = 2000;   // bigger graphs only show their nodes on the minimap
+const HISTORY_LIMIT = 5000;
+const NODE_HISTORY_FIELDS = ['label', 'tx', 'ty', 'color', 'r', 'speed', 'friction', 'attributes', 'collapsed'];
+const LAYOUT_GRAVITY = 0.05;   // pull towards the centroid, keeps components together
+const LAYOUT_MAX_ITERATIONS = 500;
+const LAYOUT_EXACT_LIMIT = 300;  // above this, layout repulsion only reaches nearby nodes
+const MATRIX_VIEW_LIMIT = 300;   // larger graphs are too big to show as a matrix
+const REPRESENTATIONS = ['Adjacency list', 'Adjacency matrix', 'Edge list', 'Incidence matrix'];
+const CONTAINER_SHOWN = 12; // queue/stack entries the playback panel lists, the rest are counted
+const PATH_ALGORITHMS = ['Dijkstra', 'Bellman-Ford', 'A*'];
+const PATH_MODES = ['Source → target', 'All distances', 'Farthest node'];
+const MST_ALGORITHMS = ['Kruskal', 'Prim'];
+const FLOW_ALGORITHMS = ['Edmonds-Karp', 'Ford-Fulkerson'];
+const FLOW_MAX_AUGMENTATIONS = 1000; // Ford-Fulkerson can take very many with big capacities
+const FLOW_EPSILON = 1e-9;           // fractional capacities leave rounding dust
+const FILE_FORMATS = { JSON: 'json', DOT: 'dot', GraphML: 'graphml', GEXF: 'gexf', CSV: 'csv', TGF: 'tgf' };
+const IMPORT_LAYOUT_LIMIT = 2000; // bigger graphs without positions are put on a grid instead
+const GENERATOR_MAX_NODES = 5000;
+const GENERATOR_MAX_EDGES = 50000;
+const PNG_MAX_SIDE = 16384;      // browsers can't make canvases much bigger than this
+const PNG_MAX_PIXELS = 100e6;
+const SAVE_FORMAT_VERSION = 2;
+const SAVE_FIELDS = { // everything a saved file may contain, anything else is reported
+  graph: ['version', 'directed', 'weighted', 'nodes', 'edges', 'style'],
+  node: ['id', 'label', 'x', 'y', 'tx', 'ty', 'color', 'r', 'speed', 'friction', 'attributes', 'collapsed'],
+  edge: ['from', 'to', 'weight', 'label', 'capacity'],
+};
+const AUTOSAVE_KEY = 'tinygraph.autosave';
+const AUTOSAVE_DELAY = 1000;     // ms without changes before autosaving
+const LIBRARY_KEY = 'tinygraph.library';
+const LIBRARY_PREFIX = 'tinygraph.graph.';
+const KEYS_KEY = 'tinygraph.keys'; // only the key bindings that differ from the defaults
+const THUMBNAIL_WIDTH = 96;
+const THUMBNAIL_HEIGHT = 64;
+const ANALYSIS_DISTANCE_LIMIT = 1000; // diameter and radius need a BFS from every node
+const ANALYSIS_COLORS = ['#ff6b6b', '#4dabf7', '#69db7c', '#ffd43b', '#da77f2', '#ffa94d', '#3bc9db', '#f783ac'];
+const TREE_TRAVERSALS = ['Preorder', 'Inorder', 'Postorder', 'Level order'];
+const TREE_SIBLING_GAP = 60; // least distance between neighbouring subtrees, more for big nodes
+const TREE_LEVEL_GAP = 80;
+const THEMES = {
+  'Dark': {
+    background: '#323232', edge: '#fafafa', edgeLabel: '#ffdc78', nodeStroke: '#000000', label: '#ffffff',
+    hover: '#787878', select: '#ffffff', drag: '#00ff00', text: '#ffffff', heading: '#c8c8c8', mutedText: '#969696',
+  },
+  'Light': {
+    background: '#f4f4f4', edge: '#505050', edgeLabel: '#a05a00', nodeStroke: '#323232', label: '#202020',
+    hover: '#a0a0a0', select: '#000000', drag: '#00a000', text: '#202020', heading: '#404040', mutedText: '#707070',
+  },
+  'High contrast': {
+    background: '#000000', edge: '#ffffff', edgeLabel: '#ffff00', nodeStroke: '#ffffff', label: '#ffffff',
+    hover: '#00ffff', select: '#ffff00', drag: '#00ff00', text: '#ffffff', heading: '#ffff00', mutedText: '#ffffff',
+  },
+};
+const STYLE_OPTIONS = { // choices for each style field that has them
+  theme: Object.keys(THEMES),
+  nodeShape: ['Circle', 'Square', 'Diamond'],
+  edgeLine: ['Solid', 'Dashed'],
+  colorBy: ['None', 'Component', 'Degree', 'Attribute'],
+  sizeBy: ['None', 'Degree', 'Attribute'],
+  widthBy: ['None', 'Weight'],
+};
+const STYLE_DEFAULTS = {
+  theme: 'Dark', nodeShape: 'Circle', edgeLine: 'Solid', edgeWidth: 1,
+  colorBy: 'None', colorAttribute: '', sizeBy: 'None', sizeAttribute: '', widthBy: 'None',
+};
+const EDGE_WIDTH_RANGE = [0.5, 10];
+const STYLE_RADIUS_RANGE = [10, 40];      // node radius the size rule spreads values over
+const STYLE_WIDTH_RANGE = [1, 8];         // edge width the width rule spreads weights over
+const STYLE_GRADIENT = ['#4dabf7', '#ff6b6b']; // numbers run from the first color to the second
+const TAP_SLOP = 10;          // px a touch or pen press may move and still be a tap
+const LONG_PRESS_DELAY = 500; // ms
 
 // -- Application State --
-let nodes = [];
-let edges = [];
+const graph = new Graph(); // nodes, edges and edge mode, see graph.js
+const nodes = graph.nodes;  // shorthands for reading, change them through graph
+const edges = graph.edges;
 let toasts = [];
-let undoStack = [];
-let redoStack = [];
+let commandHistory = []; // [{ label, changes }], see HISTORY MANAGEMENT
+let historyIndex = -1;    // last applied command, -1 is the start
+let committed = null;     // the graph as of historyIndex
+let layoutMoves = new Map(); // node -> { tx, ty } before the live layout moved it, see commitLayoutMoves
 let worldBounds = {left:0,right:0,top:0,bottom:0};
+let viewBounds = {left:0,right:0,top:0,bottom:0}; // visible part of the world
+let spatialIndex = null; // grid of nodes, rebuilt every frame
+let edgeIndex = null;    // grid of the edges in view, rebuilt every frame
+let maxNodeRadius = 20;
+let pairedEdgeKeys = { revision: -1, keys: new Set() };
+let treeCache = { revision: -1, tree: null }; // see TREE MODE
+let graphStyle = { ...STYLE_DEFAULTS };   // saved with the graph, see STYLES
+let styleCache = { revision: -1, colors: new Map(), radii: new Map(), widths: new Map() };
+let graphRevision = 0; // bumped on every graph and history change
+let representationRevision = -1;
+let playback = null; // active algorithm animation, never touches the graph or history
+let autosave = { seenRevision: -1, savedRevision: -1, changedAt: 0, hasFailed: false };
+let currentLibraryId = null; // "My graphs" entry the graph was opened from or saved to
+let libraryRevision = -1;    // graph revision when it was last saved to or opened from the library
 
-let selectedNode = null;
+let selectedNode = null; // primary node of the selection (inspector, connect, algorithms)
+let selection = new Set();
+let selectionBox = null;  // rubber band start in world coordinates while Shift+dragging
+let lastDragPoint = null; // world position of the previous group drag event
+let hoveredEdge = null;
+let selectedEdge = null;
+let clipboard = null;
 let hoveredNode = null;
 let draggedNode = null;
+let inspectedNode = null;
+let isInspectorDirty = false; // live edits not yet committed to history
+let isRestoreOffered = false;
+let isLibraryOpen = false;
+let isHistoryOpen = false;
+let historyPanelRevision = -1;
+let isAnalysisOpen = false;
+let isGeneratorOpen = false;
+let isStyleOpen = false;
+let isHelpShown = true;
+let isPaletteOpen = false;
+let paletteMatches = [];   // commands listed in the palette, best match first
+let paletteIndex = 0;      // the one Enter runs
+let isShortcutsOpen = false;
+let rebindingCommand = null; // id of the command waiting for its new key
+const touchPointers = new Map(); // pointer id -> screen point, for touches and pens that are down
+let touchGesture = null;         // what they are doing, see TOUCH & PEN
+let analysisRevision = -1;
+let analysisResults = [];  // rows of the analysis panel, see GRAPH ANALYSIS
+let analysisKey = null;    // result highlighted on the canvas
+let isSearchOpen = false;
+let searchRevision = -1;
+let searchMatches = null;  // Set of matching nodes, null when nothing is searched for
+let searchIndex = -1;      // the match Enter last centered on
+let searchError = null;
+let isSearchHiding = false; // hide the other nodes instead of fading them
 
 let isConnectingNode = false;
+let isPickingTarget = false; // the next node click picks the target for targetAction
+let targetAction = null;      // (source, target) => starts an algorithm, see pickTarget
+let isEuclideanCost = false; // cost of an edge in unweighted graphs: its length, or 1 hop
+let isLiveLayout = false;
+let isCalmMode = false;
+let isTreeMode = false; // edges point from parent to child, see TREE MODE
 let isLabelsAlwaysVisible = false;
 let isAllowOverlap = false;
 let isBoundaryStatic = false;
 let isDrawPreview = true;
+let isImageTransparent = false;
+let isResidualShown = false;
 
 // -- Camera State --
 let zoom = 1;
@@ -73,6 +251,9 @@ let offsetX = 0;
 let offsetY = 0;
 let canvasX = 0;
 let canvasY = 0;
+let cameraAnimation = null; // { from, to, start } while the camera glides, see moveCamera
+let isMinimapShown = false;
+let minimapDragFrame = null; // the minimap's mapping while it is being dragged on
 
 // -- UI Elements --
 let canvas;
@@ -83,10 +264,91 @@ let zoomSlider;
 let boundaryButton;
 let loadButton;
 let saveButton;
+let exportFormatSelect;
 let previewButton;
+let directedButton;
+let weightedButton;
+let representationSelect;
+let representationText;
+let representationApplyButton;
+let bfsButton;
+let dfsButton;
+let playbackBackButton;
+let playbackPlayButton;
+let playbackStepButton;
+let playbackStopButton;
+let playbackSpeedSlider;
+let pathAlgorithmSelect;
+let pathModeSelect;
+let pathButton;
+let pathCostButton;
+let mstAlgorithmSelect;
+let mstButton;
+let flowAlgorithmSelect;
+let maxFlowButton;
+let capacityButton;
+let residualButton;
+let generatorButton;
+let generatorPanel;
+let generatorSelect;
+let generatorFields = {}; // parameter name -> { input, field }, see GRAPH GENERATORS
+let palettePanel;
+let paletteInput;
+let paletteList;
+let shortcutsButton;
+let shortcutsPanel;
+let shortcutsMessage;
+let shortcutsList;
+let contextMenu;
+let fitGraphButton;
+let fitSelectionButton;
+let minimapButton;
+let searchButton;
+let searchPanel;
+let searchInput;
+let searchStatus;
+let searchModeSelect;
+let styleButton;
+let stylePanel;
+let styleFields = {}; // style field -> { input, field }, see STYLES
+let inspectorPanel;
+let inspectorLabelInput;
+let inspectorColorPicker;
+let inspectorRadiusInput;
+let inspectorSpeedInput;
+let inspectorFrictionInput;
+let inspectorAttributesInput;
+let liveLayoutButton;
+let runLayoutButton;
+let calmButton;
+let layoutStrengthSlider;
+let layoutLengthSlider;
+let svgButton;
+let pngButton;
+let imageScaleSelect;
+let transparentButton;
+let imageMarginSlider;
+let libraryButton;
+let libraryPanel;
+let libraryList;
+let libraryItems = [];
+let restorePanel;
+let restoreMessage;
+let historyButton;
+let historyPanel;
+let historyList;
+let analysisButton;
+let analysisPanel;
+let analysisList;
+let treeModeButton;
+let treeRootButton;
+let treeCollapseButton;
+let treeTraversalSelect;
+let treeTraverseButton;
 
-// -- Hotkey System --
-let hotkeys = {};
+// -- Commands & Hotkeys --
+const commands = new Map(); // id -> { id, name, description, defaultKeys, keys, action }, see COMMANDS
+let hotkeys = {};           // key combo -> command id, rebuilt whenever bindings change
 const KEY_NAME_MAP = {
   13: 'enter',
   27: 'escape',
@@ -108,32 +370,40 @@ for (const code in KEY_NAME_MAP) {
   const name = KEY_NAME_MAP[code];
   KEY_CODE_MAP[name] = Number(code);
 }
+const KEY_LABELS = { // how combo parts are shown, the rest are just capitalized
+  ctrl: 'Ctrl', shift: 'Shift', alt: 'Alt',
+  arrowleft: 'Left', arrowright: 'Right', arrowup: 'Up', arrowdown: 'Down',
+  pageup: 'PageUp', pagedown: 'PageDown',
+};
 
 // -- Help UI --
-const HELP_TEXT = [
-  { category: 'Mouse Controls', items: [
-    { key: 'Left Click', desc: 'Add Node' },
-    { key: 'Right Click', desc: 'Delete Node' },
-    { key: 'Drag Node', desc: 'Move Node' },
-    { key: 'Space + Drag', desc: 'Pan Camera' },
-    { key: 'Mouse Wheel', desc: 'Zoom Camera' },
-  ]},
-  { category: 'Hotkeys', items: [
-    { key: 'C', desc: 'Toggle Connect Mode' },
-    { key: 'L', desc: 'Toggle Node Labels' },
-    { key: 'O', desc: 'Toggle Node Overlap' },
-    { key: 'Home', desc: 'Reset Camera' },
-    { key: 'Ctrl + Z', desc: 'Undo' },
-    { key: 'Ctrl + Y', desc: 'Redo' },
-  ]},
+// Hotkeys are listed from the command registry, only mouse and touch need writing down
+const MOUSE_HELP = [
+  { key: 'Left Click', desc: 'Add Node' },
+  { key: 'Right Click', desc: 'Delete Node/Edge' },
+  { key: 'Click Edge', desc: 'Select Edge' },
+  { key: 'Drag Node', desc: 'Move Node/Selection' },
+  { key: 'Shift + Click', desc: 'Add to Selection' },
+  { key: 'Shift + Drag', desc: 'Box Select' },
+  { key: 'Space + Drag', desc: 'Pan Camera' },
+  { key: 'Mouse Wheel', desc: 'Zoom Camera' },
+];
+const TOUCH_HELP = [
+  { key: 'Tap', desc: 'Add/Select Node' },
+  { key: 'Drag', desc: 'Move Node/Pan Camera' },
+  { key: 'Long Press', desc: 'Menu' },
+  { key: 'Pinch', desc: 'Zoom Camera' },
+  { key: 'Two-Finger Drag', desc: 'Pan Camera' },
 ];
 // -------------------------------
 //  P5.js MAIN
 // -------------------------------
 function setup() {
-  saveState();
+  watchGraph();
+  resetHistory();
   canvas = createCanvas(windowWidth,  windowHeight * 3/4);
   canvas.elt.oncontextmenu = () => false;
+  watchPointers();
 
   // Initialize UI elements
   connectButton = createButton('Connect Node | OFF');
@@ -142,7 +412,81 @@ function setup() {
   zoomSlider = createSlider(MIN_ZOOM, MAX_ZOOM, 1, 0.1);
   boundaryButton = createButton('Static boundary | OFF');
   saveButton = createButton('Export Graph');
+  exportFormatSelect = createSelect();
+  for (const format of Object.keys(FILE_FORMATS)) exportFormatSelect.option(format);
   previewButton = createButton('Add node preview | OFF');
+  directedButton = createButton('Directed edges | OFF');
+  weightedButton = createButton('Weighted edges | OFF');
+  representationSelect = createSelect();
+  for (const format of REPRESENTATIONS) representationSelect.option(format);
+  representationText = createElement('textarea');
+  representationText.attribute('spellcheck', 'false');
+  representationText.style('font-family', 'monospace');
+  representationApplyButton = createButton('Apply');
+  bfsButton = createButton('BFS');
+  dfsButton = createButton('DFS');
+  playbackBackButton = createButton('◀ Step');
+  playbackPlayButton = createButton('Play');
+  playbackStepButton = createButton('Step ▶');
+  playbackStopButton = createButton('Stop');
+  playbackSpeedSlider = createSlider(0.5, 10, 2, 0.5); // steps per second
+  pathAlgorithmSelect = createSelect();
+  for (const algorithm of PATH_ALGORITHMS) pathAlgorithmSelect.option(algorithm);
+  pathModeSelect = createSelect();
+  for (const mode of PATH_MODES) pathModeSelect.option(mode);
+  pathButton = createButton('Find Path');
+  pathCostButton = createButton('Unweighted cost | HOPS');
+  createInspector();
+  liveLayoutButton = createButton('Live layout | OFF');
+  runLayoutButton = createButton('Run layout');
+  calmButton = createButton('Calm mode | OFF');
+  layoutStrengthSlider = createSlider(0.1, 2, 1, 0.1);
+  layoutStrengthSlider.attribute('title', 'Layout strength');
+  layoutLengthSlider = createSlider(40, 300, 100, 10);
+  layoutLengthSlider.attribute('title', 'Ideal edge length');
+  svgButton = createButton('Export SVG');
+  pngButton = createButton('Export PNG');
+  imageScaleSelect = createSelect();
+  for (const scale of ['1x', '2x', '3x', '4x', '8x']) imageScaleSelect.option(scale);
+  imageScaleSelect.selected('2x');
+  imageScaleSelect.attribute('title', 'PNG scale');
+  transparentButton = createButton('Transparent background | OFF');
+  imageMarginSlider = createSlider(0, 200, 20, 5);
+  imageMarginSlider.attribute('title', 'Image margin');
+  libraryButton = createButton('My graphs');
+  createLibraryPanel();
+  createRestorePanel();
+  historyButton = createButton('History');
+  createHistoryPanel();
+  analysisButton = createButton('Analysis');
+  createAnalysisPanel();
+  treeModeButton = createButton('Tree mode | OFF');
+  treeRootButton = createButton('Set root');
+  treeCollapseButton = createButton('Collapse');
+  treeTraversalSelect = createSelect();
+  for (const order of TREE_TRAVERSALS) treeTraversalSelect.option(order);
+  treeTraverseButton = createButton('Traverse');
+  mstAlgorithmSelect = createSelect();
+  for (const algorithm of MST_ALGORITHMS) mstAlgorithmSelect.option(algorithm);
+  mstButton = createButton('Spanning tree');
+  flowAlgorithmSelect = createSelect();
+  for (const algorithm of FLOW_ALGORITHMS) flowAlgorithmSelect.option(algorithm);
+  maxFlowButton = createButton('Max flow');
+  capacityButton = createButton('Edge capacity');
+  residualButton = createButton('Residual graph | OFF');
+  fitGraphButton = createButton('Fit graph');
+  fitSelectionButton = createButton('Fit selection');
+  minimapButton = createButton('Minimap | OFF');
+  searchButton = createButton('Search');
+  createSearchPanel();
+  styleButton = createButton('Style');
+  createStylePanel();
+  generatorButton = createButton('Generate');
+  createGeneratorPanel();
+  shortcutsButton = createButton('Shortcuts');
+  createShortcutsPanel();
+  createCommandPalette();
+  createContextMenu();
   updateUIState();
 
   // Attach event handlers to UI
@@ -153,29 +497,130 @@ function setup() {
   boundaryButton.mousePressed(handleBoundaryButton);
   saveButton.mousePressed(saveGraph);
   loadButton = createFileInput(handleFileLoad);
+  loadButton.attribute('accept', '.json,.dot,.gv,.graphml,.gexf,.csv,.tgf');
   previewButton.mousePressed(handlePreviewButton);
+  directedButton.mousePressed(handleDirectedButton);
+  weightedButton.mousePressed(handleWeightedButton);
+  representationSelect.changed(handleRepresentationSelect);
+  representationApplyButton.mousePressed(handleRepresentationApply);
+  bfsButton.mousePressed(() => startTraversal('BFS'));
+  dfsButton.mousePressed(() => startTraversal('DFS'));
+  playbackBackButton.mousePressed(stepPlaybackBack);
+  playbackPlayButton.mousePressed(togglePlayback);
+  playbackStepButton.mousePressed(stepPlaybackForward);
+  playbackStopButton.mousePressed(stopPlayback);
+  pathButton.mousePressed(handlePathButton);
+  pathCostButton.mousePressed(handlePathCostButton);
+  liveLayoutButton.mousePressed(handleLiveLayoutButton);
+  runLayoutButton.mousePressed(runLayoutUntilStable);
+  calmButton.mousePressed(handleCalmButton);
+  svgButton.mousePressed(exportSvg);
+  pngButton.mousePressed(exportPng);
+  transparentButton.mousePressed(handleTransparentButton);
+  libraryButton.mousePressed(toggleLibrary);
+  historyButton.mousePressed(toggleHistory);
+  analysisButton.mousePressed(toggleAnalysis);
+  treeModeButton.mousePressed(handleTreeModeButton);
+  treeRootButton.mousePressed(setTreeRoot);
+  treeCollapseButton.mousePressed(toggleCollapse);
+  treeTraverseButton.mousePressed(startTreeTraversal);
+  mstButton.mousePressed(startSpanningTree);
+  maxFlowButton.mousePressed(handleMaxFlowButton);
+  capacityButton.mousePressed(setSelectedEdgeCapacity);
+  residualButton.mousePressed(handleResidualButton);
+  fitGraphButton.mousePressed(() => fitGraph());
+  fitSelectionButton.mousePressed(fitSelection);
+  minimapButton.mousePressed(handleMinimapButton);
+  searchButton.mousePressed(toggleSearch);
+  styleButton.mousePressed(toggleStyle);
+  generatorButton.mousePressed(toggleGenerator);
+  shortcutsButton.mousePressed(toggleShortcuts);
+  window.addEventListener('beforeunload', handleBeforeUnload);
 
-  // Register hotkeys
-  regHotkey('escape', connectModeOff);
-  regHotkey('c', connectModeOn);
-  regHotkey('l', handleLabelButton);
-  regHotkey('o', handleOverlapButton);
-  regHotkey('pageup', zoomIn);
-  regHotkey('pagedown', zoomOut);
-  regHotkey('home', home);
-  regHotkey('ctrl+z', undo);
-  regHotkey('ctrl+y', redo);
+  // Register commands, in the order the help and the palette list them
+  regCommand('cancel', 'Cancel Mode/Algorithm', "Leave connect mode or target picking, stop the algorithm and clear the selection.", ['escape'], handleEscape);
+  regCommand('palette', 'Command Palette', "Search for any command and run it.", ['ctrl+k'], togglePalette);
+  regCommand('shortcuts', 'Keyboard Shortcuts', "Change the keys that run each command.", ['k'], toggleShortcuts);
+  regCommand('help', 'Toggle Help', "Show or hide this list of controls.", ['shift+?'], () => isHelpShown = !isHelpShown);
+  regCommand('connect', 'Connect Mode', "Click two nodes to connect them.", ['c'], connectModeOn);
+  regCommand('labels', 'Toggle Node Labels', "Always show every node's label.", ['l'], handleLabelButton);
+  regCommand('overlap', 'Toggle Node Overlap', "Let nodes overlap, or push them apart.", ['o'], handleOverlapButton);
+  regCommand('directed', 'Toggle Directed Edges', "Switch between directed and undirected edges.", ['d'], handleDirectedButton);
+  regCommand('weighted', 'Toggle Weighted Edges', "Switch edge weights on or off.", ['w'], handleWeightedButton);
+  regCommand('boundary', 'Toggle Static Boundary', "Keep nodes inside the canvas, or inside the view.", [], handleBoundaryButton);
+  regCommand('preview', 'Toggle Node Preview', "Show where a click would add a node.", [], handlePreviewButton);
+  regCommand('live-layout', 'Toggle Live Layout', "Run the force layout continuously.", ['f'], handleLiveLayoutButton);
+  regCommand('run-layout', 'Run Layout Until Stable', "Run the force layout once until nodes settle.", ['shift+f'], runLayoutUntilStable);
+  regCommand('calm', 'Toggle Calm Mode', "Switch all physics off or on.", ['m'], handleCalmButton);
+  regCommand('bfs', 'Breadth-First Search', "Step through BFS from the selected node.", [], () => startTraversal('BFS'));
+  regCommand('dfs', 'Depth-First Search', "Step through DFS from the selected node.", [], () => startTraversal('DFS'));
+  regCommand('shortest-path', 'Shortest Path', "Find shortest paths from the selected node.", [], handlePathButton);
+  regCommand('spanning-tree', 'Minimum Spanning Tree', "Step through Kruskal's or Prim's algorithm.", [], startSpanningTree);
+  regCommand('max-flow', 'Max Flow', "Pick a sink for the maximum flow from the selected node.", [], handleMaxFlowButton);
+  regCommand('residual', 'Toggle Residual Graph', "Show the remaining capacity during max flow.", [], handleResidualButton);
+  regCommand('play', 'Play/Pause Algorithm', "Play or pause the running algorithm.", ['p'], togglePlayback);
+  regCommand('step-back', 'Step Algorithm Back', "Go one step back in the running algorithm.", ['arrowleft'], stepPlaybackBack);
+  regCommand('step-forward', 'Step Algorithm Forward', "Go one step forward in the running algorithm.", ['arrowright'], stepPlaybackForward);
+  regCommand('stop', 'Stop Algorithm', "Stop the running algorithm.", [], stopPlayback);
+  regCommand('zoom-in', 'Zoom In', "Zoom in on the middle of the view.", ['pageup'], () => zoomIn());
+  regCommand('zoom-out', 'Zoom Out', "Zoom out from the middle of the view.", ['pagedown'], () => zoomOut());
+  regCommand('home', 'Reset Camera', "Reset the zoom and position of the view.", ['home'], home);
+  regCommand('fit-graph', 'Fit Graph to View', "Zoom and pan so the whole graph is in view.", ['z'], () => fitGraph());
+  regCommand('fit-selection', 'Fit Selection', "Zoom and pan to the selected nodes or edge.", ['shift+z'], fitSelection);
+  regCommand('minimap', 'Toggle Minimap', "Show an overview of the graph; click or drag it to move the view.", ['v'], handleMinimapButton);
+  regCommand('undo', 'Undo', "Undo the last change.", ['ctrl+z'], undo);
+  regCommand('redo', 'Redo', "Redo the last undone change.", ['ctrl+y'], redo);
+  regCommand('delete', 'Delete Selection', "Delete the selected nodes or edge.", ['delete', 'backspace'], deleteSelection);
+  regCommand('edit-edge', 'Edit Selected Edge', "Change the selected edge's weight and label.", ['e'], editSelectedEdge);
+  regCommand('edge-capacity', 'Set Edge Capacity', "Set the selected edge's max-flow capacity, blank to use its weight.", [], setSelectedEdgeCapacity);
+  regCommand('split-edge', 'Split Selected Edge', "Add a node in the middle of the selected edge.", ['s'], splitSelectedEdge);
+  regCommand('copy', 'Copy', "Copy the selected nodes and the edges between them.", ['ctrl+c'], copySelection);
+  regCommand('cut', 'Cut', "Copy the selection, then delete it.", ['ctrl+x'], cutSelection);
+  regCommand('paste', 'Paste', "Paste at the mouse cursor.", ['ctrl+v'], pasteClipboard);
+  regCommand('library', 'Toggle My Graphs', "Open or close the library of saved graphs.", ['g'], toggleLibrary);
+  regCommand('save-library', 'Save to My Graphs', "Save the graph in the library.", ['ctrl+s'], () => saveToLibrary(false));
+  regCommand('history', 'Toggle History', "Open or close the history panel.", ['h'], toggleHistory);
+  regCommand('analysis', 'Toggle Analysis', "Open or close the analysis panel.", ['a'], toggleAnalysis);
+  regCommand('search', 'Search Nodes', "Find nodes by label, regex or a filter like degree > 3.", ['ctrl+f', '/'], toggleSearch);
+  regCommand('style', 'Toggle Style', "Open or close the theme, shape and style rule settings.", ['y'], toggleStyle);
+  regCommand('next-theme', 'Next Theme', "Switch to the next color theme.", [], cycleTheme);
+  regCommand('generate', 'Toggle Generate', "Open or close the graph generators.", ['n'], toggleGenerator);
+  regCommand('tree-mode', 'Toggle Tree Mode', "Treat edges as parent → child links and lay out trees.", ['t'], handleTreeModeButton);
+  regCommand('tree-root', 'Make Selected the Root', "Make the selected node its tree's root.", ['r'], setTreeRoot);
+  regCommand('collapse', 'Collapse/Expand Subtree', "Hide or show the selected node's subtree.", ['x'], toggleCollapse);
+  regCommand('traverse-tree', 'Traverse Tree', "Step through the chosen tree traversal.", [], startTreeTraversal);
+  regCommand('export', 'Export Graph', "Download the graph in the chosen file format.", [], saveGraph);
+  regCommand('export-svg', 'Export SVG', "Download the graph as an SVG image.", [], exportSvg);
+  regCommand('export-png', 'Export PNG', "Download the graph as a PNG image.", [], exportPng);
+  loadKeyBindings();
 
   // Initial positioning
   positionUI();
+
+  // Offer the last session back before autosave overwrites it
+  offerRestore();
+  autosave.savedRevision = graphRevision;
 }
 function draw() {
-  background(BG_COLOR);
+  background(getTheme().background);
 
   // --- Per-frame updates ---
+  updateCameraAnimation();
   getCanvasMousePos();
   updateWorldBounds();
+  updateTreeMode();
+  updateStyles();
+  updatePairedEdges();
+  updateSpatialIndex();
   updateHoveredNode();
+  updateHoveredEdge();
+  updateRepresentationPanel();
+  updatePlayback();
+  updateInspector();
+  updateAutosave();
+  updateHistoryPanel();
+  updateAnalysisPanel();
+  updateSearch();
 
   // --- Drawing ---
   push(); // Start camera view
@@ -193,48 +638,90 @@ function draw() {
 // -------------------------------
 function drawWorld() {
   drawEdges();
+  drawAnalysisEdges();
+  drawPlaybackEdges();
   drawNodes();
+  drawTreeMarkers();
+  drawSearchMarkers();
+  drawAnalysisNodes();
+  drawPlaybackNodes();
   drawNodePreview();
   drawConnectionLine();
+  drawTargetPickLine();
+  drawSelectionBox();
 }
 function drawUI() {
+  drawMinimap();
+  drawPlaybackPanel();
   drawToasts();
   drawHelpPanel();
 }
 function drawEdges() {
-  stroke(250);
-  for (let [a, b] of edges) {
-    line(a.x, a.y, b.x, b.y);
+  for (let edge of edges) {
+    if (!edge.isInView()) continue;
+    // Edges to nodes outside the search results fade with them
+    drawingContext.globalAlpha = isFadedBySearch(edge.a) || isFadedBySearch(edge.b) ? 0.2 : 1;
+    edge.show();
   }
+  drawingContext.globalAlpha = 1;
+
+  if (hoveredEdge) hoveredEdge.highlight("hover");
+  if (selectedEdge) selectedEdge.highlight("select");
 }
 function drawNodes() {
+  if (isLiveLayout) stepLiveLayout();
   for (let node of nodes) {
+    if (isCalmMode) break; // nodes stay exactly where they are put
+    if (isHiddenInTree(node)) continue;
     if(isAllowOverlap === false)
-      node.applyRepulsion(nodes);
+      node.applyRepulsion(spatialIndex.query(node.x, node.y, node.getRadius() + maxNodeRadius));
     node.applyBoundary();
   }
   for (let node of nodes) {
     node.update();
+    if (!node.isInView()) continue;
+    drawingContext.globalAlpha = isFadedBySearch(node) ? 0.2 : 1;
     node.show();
   }
+  drawingContext.globalAlpha = 1;
 
   if (hoveredNode) hoveredNode.highlight("hover");
-  if (selectedNode) selectedNode.highlight("select");
+  for (let node of selection) node.highlight("select");
   if (draggedNode) draggedNode.highlight("drag");
 }
 function drawNodePreview(){
   let world = screenToWorld(mouseX,mouseY);
   if(isDrawPreview && !hoveredNode){
     noFill();
-    stroke(120);
+    stroke(getTheme().hover);
     ellipse(world.x, world.y, 20 * 2);
   }
 }
 function drawConnectionLine() {
   if (selectedNode && isConnectingNode) {
-    stroke(255);
+    stroke(getTheme().select);
+    strokeWeight(2);
+    line(selectedNode.x, selectedNode.y, canvasX, canvasY);
+  }
+}
+function drawSelectionBox() {
+  if (!selectionBox) return;
+  fill(120, 170, 255, 40);
+  stroke(120, 170, 255);
+  strokeWeight(1 / zoom);
+  rectMode(CORNERS);
+  rect(selectionBox.x, selectionBox.y, canvasX, canvasY);
+  rectMode(CORNER);
+  strokeWeight(1);
+}
+function drawTargetPickLine() {
+  if (selectedNode && isPickingTarget) {
+    stroke(255, 255, 0);
     strokeWeight(2);
+    drawingContext.setLineDash([8, 6]);
     line(selectedNode.x, selectedNode.y, canvasX, canvasY);
+    drawingContext.setLineDash([]);
+    strokeWeight(1);
   }
 }
 function drawToasts() {
@@ -253,36 +740,52 @@ function drawToasts() {
     let alpha = map(elapsed, toast.duration - 800, toast.duration, 255, 0);
     alpha = constrain(alpha, 0, 255);
 
+    // Longer messages (e.g. a list of load errors) get one line each
+    let lines = String(toast.message).split("\n");
+    let boxWidth = max(300, ...lines.map(line => textWidth(line) + 20));
+    let boxHeight = 30 + (lines.length - 1) * 16;
+
     fill(255, 255, 255, alpha);
     stroke(0, alpha);
-    rect(20, y, 300, 30, 5);
+    rect(20, y, boxWidth, boxHeight, 5);
 
     fill(0, alpha);
     noStroke();
     textAlign(LEFT, CENTER);
-    text(toast.message, 30, y + 15);
+    lines.forEach((line, j) => text(line, 30, y + 15 + j * 16));
 
-    y += 40;
+    y += boxHeight + 10;
   }
 }
 function drawHelpPanel() {
+  if (!isHelpShown) return;
   let x = width - 300;
   let y = 40;
   const lineHeight = 20;
   const categorySpacing = 15;
+  const theme = getTheme();
 
   // --- Main title ---
-  fill(255);
+  fill(theme.text);
   noStroke();
   textSize(18);
   textAlign(LEFT, TOP);
   text('TinyGraph Guide', x, y);
   y += lineHeight * 2;
 
-  // --- Loop through each category (Mouse, Hotkeys) ---
-  for (const category of HELP_TEXT) {
+  const hotkeyHelp = [...commands.values()]
+    .filter(command => command.keys.length > 0)
+    .map(command => ({ key: formatKeyBindings(command), desc: command.name }));
+  const categories = [
+    { category: 'Mouse Controls', items: MOUSE_HELP },
+    { category: 'Touch & Pen', items: TOUCH_HELP },
+    { category: 'Hotkeys', items: hotkeyHelp },
+  ];
+
+  // --- Loop through each category (Mouse, Touch, Hotkeys) ---
+  for (const category of categories) {
     // Category title
-    fill(200);
+    fill(theme.heading);
     textAlign(RIGHT, TOP);
     textSize(14);
     text(category.category, x, y);
@@ -291,13 +794,19 @@ function drawHelpPanel() {
     // Items in the category
     textSize(12);
     for (const item of category.items) {
+      if (y > height - lineHeight) {
+        // Out of room, carry on in a column to the left
+        x -= 240;
+        y = 40 + lineHeight * 2;
+      }
+
       // Key
-      fill(255);
+      fill(theme.text);
       textAlign(LEFT, TOP);
       text(item.key, x + 10, y);
 
       // Description
-      fill(150);
+      fill(theme.mutedText);
       textAlign(RIGHT, TOP);
       // Position the description to the right, aligned with a fixed width
       text(item.desc, x + 200, y);
@@ -307,58 +816,224 @@ function drawHelpPanel() {
     y += categorySpacing;
   }
 }
+function drawPlaybackEdges() {
+  if (!playback) return;
+  const step = getPlaybackStep();
+
+  for (const edge of edges) {
+    const kind = step.edgeKinds.get(edge.key());
+    if (!kind || !edge.isInView()) continue;
+    if (kind === 'tree') {
+      stroke(80, 220, 120);
+      strokeWeight(4);
+    } else if (kind === 'nontree') {
+      stroke(220, 80, 80);
+      strokeWeight(1);
+      drawingContext.setLineDash([6, 6]);
+    } else if (kind === 'path') {
+      stroke(255, 255, 0);
+      strokeWeight(6);
+    } else if (kind === 'candidate') {
+      stroke(255, 170, 0);
+      strokeWeight(2);
+    } else if (kind === 'flow') {
+      stroke(80, 220, 120);
+      strokeWeight(2);
+    } else if (kind === 'cut') {
+      stroke(220, 80, 80);
+      strokeWeight(6);
+    } else {
+      continue;
+    }
+    line(edge.a.x, edge.a.y, edge.b.x, edge.b.y);
+    drawingContext.setLineDash([]);
+  }
+  strokeWeight(1);
+  if (step.flows && isResidualShown) drawResidualEdges(step);
+}
+function drawPlaybackNodes() {
+  if (!playback) return;
+  const step = getPlaybackStep();
+
+  for (const node of nodes) {
+    if (!node.isInView()) continue;
+    const status = step.status.get(node.id);
+    if (status === 'frontier') fill(255, 170, 0);
+    else if (status === 'visited') fill(80, 160, 255);
+    else if (status === 'sink-side') fill(220, 80, 80);
+    else continue;
+
+    stroke(getTheme().nodeStroke);
+    node.drawShape(node.getRadius() * 2);
+
+    if (node.id === step.current) {
+      noFill();
+      stroke(255, 255, 0);
+      strokeWeight(3);
+      node.drawShape(node.getRadius() * 2 + 7);
+      strokeWeight(1);
+    }
+  }
+
+  // Tentative distances, shown above every node
+  if (!step.distances) return;
+  fill(255, 255, 0);
+  noStroke();
+  textSize(12);
+  textAlign(CENTER, BOTTOM);
+  for (const node of nodes) {
+    if (!node.isInView()) continue;
+    const distance = step.distances.get(node.id);
+    text(distance === undefined ? "∞" : formatCost(distance), node.x, node.y - node.getRadius() - 4);
+  }
+}
+function drawPlaybackPanel() {
+  if (!playback) return;
+  const step = getPlaybackStep();
+  const state = playback.isPlaying ? "playing" : "paused";
+
+  fill(0, 180);
+  noStroke();
+  rect(20, height - 100, 420, 80, 5);
+
+  fill(255);
+  textSize(12);
+  textAlign(LEFT, TOP);
+  text(`${playback.title} | step ${playback.index + 1}/${playback.steps.length} (${state})`, 30, height - 92);
+  text(step.message, 30, height - 72);
+  text(
+    `${playback.containerLabel}: ` + (step.container.length ? step.container.join(", ") : "empty"),
+    30, height - 52
+  );
+}
+function updateSpatialIndex() {
+  maxNodeRadius = 0;
+  for (let node of nodes) maxNodeRadius = max(maxNodeRadius, node.getRadius());
+
+  // Cells about one node wide keep each query to a handful of cells
+  spatialIndex = new SpatialGrid(max(40, maxNodeRadius * 2));
+  for (let node of nodes) {
+    if (!isHiddenInTree(node) && !isHiddenBySearch(node)) spatialIndex.insert(node, node.x, node.y);
+  }
+
+  // Edges go in every cell they cross; only edges in view can be hovered
+  edgeIndex = new SpatialGrid(spatialIndex.cellSize);
+  for (let edge of edges) {
+    if (!edge.isInView()) continue;
+    let {x1, y1, x2, y2} = edge.getSegment();
+    edgeIndex.insertSegment(edge, x1, y1, x2, y2);
+  }
+}
+function updatePairedEdges() {
+  // Reciprocal edges (A→B and B→A) are drawn side by side instead of on top of each other.
+  // Edges and ids only change through history, so the lookup is rebuilt per revision.
+  if (pairedEdgeKeys.revision !== graphRevision) {
+    pairedEdgeKeys = { revision: graphRevision, keys: new Set(edges.map(edge => edge.key())) };
+  }
+}
+function updateHoveredEdge() {
+  hoveredEdge = null;
+  if (hoveredNode) return; // nodes sit on top of edges
+
+  // Same grab distance on screen at any zoom
+  let closest = 6 / zoom;
+  for (let edge of edgeIndex.query(canvasX, canvasY, closest)) {
+    let d = edge.distanceTo(canvasX, canvasY);
+    if (d < closest) {
+      hoveredEdge = edge;
+      closest = d;
+    }
+  }
+}
 function updateHoveredNode() {
   hoveredNode = null;
-  for (let node of nodes) {
-    if (node.isHovered()) {
+  // The closest node under the cursor wins where nodes overlap
+  let closest = Infinity;
+  for (let node of spatialIndex.query(canvasX, canvasY, maxNodeRadius)) {
+    let d = dist(node.x, node.y, canvasX, canvasY);
+    if (node.isHovered() && d < closest) {
       hoveredNode = node;
-      break;
+      closest = d;
     }
   }
 }
 // -------------------------------
 //  EVENT HANDLERS (INPUT)
 // -------------------------------
-function mousePressed() {
+function mousePressed(event) {
   if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
+  if (isOverlayEvent(event)) return; // clicks on panels drawn over the canvas
+  cameraAnimation = null; // the user takes over
 
-  const indexH = nodes.indexOf(hoveredNode);
-  const indexS = nodes.indexOf(selectedNode);
+  // The minimap moves the camera instead of editing the graph
+  if (isOverMinimap(mouseX, mouseY)) {
+    minimapDragFrame = getMinimapFrame();
+    moveCameraToMinimap(mouseX, mouseY);
+    return false;
+  }
 
-  // Right-click to delete
+  // Right-click to delete (the whole selection if the node is part of it)
   if (mouseButton === RIGHT) {
     if (hoveredNode){
-      nodes.splice(indexH, 1);
-      edges = edges.filter(edge => edge[0] !== hoveredNode && edge[1] !== hoveredNode);
-      if (indexS === indexH) selectedNode = null;
-      updateNodesID();
-      saveState();
+      deleteNodes(selection.has(hoveredNode) ? [...selection] : [hoveredNode]);
+    } else if (hoveredEdge) {
+      deleteEdge(hoveredEdge);
     }
     return false;
   }
 
+  // Shift: toggle a node in the selection, or start a box selection on empty canvas
+  if (keyIsDown(SHIFT) && !isConnectingNode && !isPickingTarget) {
+    if (hoveredNode) toggleSelected(hoveredNode);
+    else selectionBox = { x: canvasX, y: canvasY };
+    return;
+  }
+
+  // Select the edge under the cursor
+  if (!hoveredNode && hoveredEdge && !keyIsDown(KEY_CODE_MAP['space'])) {
+    connectModeOff();
+    isPickingTarget = false;
+    selectEdge(hoveredEdge);
+    return;
+  }
+
   // Create or connect nodes
   if (!hoveredNode && !keyIsDown(KEY_CODE_MAP['space'])) {
-    let newNode = new Node(canvasX, canvasY, (nodes.length + 1));
-    nodes.push(newNode);
-    selectedNode = null;
+    let newNode = addNodeAt(canvasX, canvasY);
+    clearSelection();
     isConnectingNode = false;
+    isPickingTarget = false;
     updateUIState();
-    saveState();
+    saveState(`Add node ${newNode.id}`);
+  } else if (isPickingTarget) {
+    pickTarget(hoveredNode);
   } else if (!isConnectingNode) {
-    selectedNode = hoveredNode;
+    selectNode(hoveredNode);
   } else if (isConnectingNode){
     attemptConnection(hoveredNode);
   }
-  if(selectedNode === hoveredNode && hoveredNode && !isConnectingNode){
+  if(selectedNode === hoveredNode && hoveredNode && !isConnectingNode && !isPickingTarget){
     draggedNode = selectedNode;
+    lastDragPoint = screenToWorld(mouseX, mouseY);
   }
 }
 function mouseDragged(){
   if (mouseX < 0 || mouseX > width || mouseY < 0 || mouseY > height) return;
+  if (minimapDragFrame) {
+    moveCameraToMinimap(mouseX, mouseY);
+    return;
+  }
   const index = nodes.indexOf(draggedNode);
 
-  if(draggedNode){
+  if(draggedNode && selection.size > 1 && selection.has(draggedNode)){
+    // Move the whole selection by the mouse movement
+    let world = screenToWorld(mouseX, mouseY);
+    for (let node of selection) {
+      node.tx += world.x - lastDragPoint.x;
+      node.ty += world.y - lastDragPoint.y;
+    }
+    lastDragPoint = world;
+  } else if(draggedNode){
     draggedNode.tx = canvasX;
     draggedNode.ty = canvasY;
   } else if(keyIsDown(KEY_CODE_MAP['space'])){
@@ -367,22 +1042,40 @@ function mouseDragged(){
   }
 }
 function mouseReleased(){
+  minimapDragFrame = null;
+  if (selectionBox) {
+    selectInBox(selectionBox.x, selectionBox.y, canvasX, canvasY);
+    selectionBox = null;
+  }
   if(draggedNode){
+    const isGroup = selection.has(draggedNode) && selection.size > 1;
+    const label = isGroup ? `Move ${selection.size} nodes` : `Move node ${draggedNode.id}`;
     draggedNode = null;
-    saveState();
+    saveState(label);
   }
 }
 function mouseMoved(){}
 function mouseClicked(){}
+function doubleClicked(event){
+  if (isOverlayEvent(event) || isOverMinimap(mouseX, mouseY)) return;
+  if (hoveredNode) centerOnNode(hoveredNode);
+}
 function mouseWheel(event){
+  if (isOverlayEvent(event)) return;
   let zoomSensitivity = -0.001;
   applyZoom(event.delta * zoomSensitivity, mouseX, mouseY);
   return false; // prevents page scroll
 }
 function keyPressed() {
+  if (rebindingCommand) {
+    captureKeyBinding(getKeyCombo(key, keyCode));
+    return false;
+  }
+  if (isTypingInField()) return; // let text fields receive their keys
+
   let combo = getKeyCombo(key, keyCode);
   if(hotkeys[combo]) {
-    hotkeys[combo]();
+    runCommand(hotkeys[combo]);
     return false;
   }
 }
@@ -396,6 +1089,183 @@ function windowResized() {
   }
 }
 // -------------------------------
+//  TOUCH & PEN
+// -------------------------------
+// Touch and pen come in as pointer events, the mouse keeps the p5 handlers above.
+// One finger (or the pen) taps like a left click, drags a node or pans the empty
+// canvas, and a long press opens a context menu; two fingers pan and pinch-zoom.
+// A press only becomes a drag after moving TAP_SLOP pixels, so a shaky tap stays a tap.
+function watchPointers(){
+  const elt = canvas.elt;
+  elt.addEventListener('pointerdown', handlePointerDown);
+  elt.addEventListener('pointermove', handlePointerMove);
+  elt.addEventListener('pointerup', handlePointerUp);
+  elt.addEventListener('pointercancel', handlePointerUp);
+}
+function touchStarted(event){
+  // Without these p5 would also feed touches to the mouse handlers
+  if (!isOverlayEvent(event)) return false;
+}
+function touchMoved(event){
+  if (!isOverlayEvent(event)) return false;
+}
+function touchEnded(event){
+  if (!isOverlayEvent(event)) return false;
+}
+function getPointerPoint(event){
+  const rect = canvas.elt.getBoundingClientRect();
+  return { x: event.clientX - rect.left, y: event.clientY - rect.top };
+}
+function movePointerTo(point){
+  // The mouse handlers and hover tests all read the p5 mouse position
+  pmouseX = mouseX;
+  pmouseY = mouseY;
+  mouseX = point.x;
+  mouseY = point.y;
+  mouseButton = LEFT;
+  getCanvasMousePos();
+  updateHoveredNode();
+  updateHoveredEdge();
+}
+function handlePointerDown(event){
+  hideContextMenu();
+  if (event.pointerType === 'mouse') return;
+  event.preventDefault(); // no emulated mouse events on top
+  canvas.elt.setPointerCapture(event.pointerId);
+  cameraAnimation = null;
+
+  const point = getPointerPoint(event);
+  touchPointers.set(event.pointerId, point);
+  if (touchPointers.size === 1) {
+    touchGesture = { kind: 'press', start: point, timer: setTimeout(handleLongPress, LONG_PRESS_DELAY) };
+  } else if (touchPointers.size === 2) {
+    // A second finger turns whatever the first was doing into a pinch
+    endTouchGesture();
+    const [a, b] = touchPointers.values();
+    touchGesture = { kind: 'pinch', distance: max(1, dist(a.x, a.y, b.x, b.y)), zoom, center: getMidpoint(a, b) };
+  }
+}
+function handlePointerMove(event){
+  if (!touchPointers.has(event.pointerId)) return;
+  const point = getPointerPoint(event);
+  touchPointers.set(event.pointerId, point);
+  if (!touchGesture) return;
+
+  if (touchGesture.kind === 'press') {
+    const { start } = touchGesture;
+    if (dist(point.x, point.y, start.x, start.y) < TAP_SLOP) return;
+    clearTimeout(touchGesture.timer);
+    startTouchDrag(start);
+  }
+
+  if (touchGesture.kind === 'drag') {
+    movePointerTo(point);
+    mouseDragged();
+  } else if (touchGesture.kind === 'pan') {
+    offsetX += point.x - touchGesture.last.x;
+    offsetY += point.y - touchGesture.last.y;
+    touchGesture.last = point;
+  } else if (touchGesture.kind === 'pinch') {
+    // Pan with the pinch center, then zoom around it like the mouse wheel does
+    const [a, b] = touchPointers.values();
+    const center = getMidpoint(a, b);
+    offsetX += center.x - touchGesture.center.x;
+    offsetY += center.y - touchGesture.center.y;
+    touchGesture.center = center;
+    const scale = max(1, dist(a.x, a.y, b.x, b.y)) / touchGesture.distance;
+    applyZoom(touchGesture.zoom * scale - zoom, center.x, center.y);
+  }
+}
+function handlePointerUp(event){
+  if (!touchPointers.delete(event.pointerId)) return;
+  if (touchPointers.size > 0) {
+    // The fingers left after a pinch don't tap or drag anything
+    if (touchGesture && touchGesture.kind === 'pinch') touchGesture = { kind: 'done' };
+    return;
+  }
+
+  if (touchGesture && touchGesture.kind === 'press' && event.type === 'pointerup') {
+    clearTimeout(touchGesture.timer);
+    movePointerTo(touchGesture.start);
+    mousePressed();
+    mouseReleased();
+  }
+  endTouchGesture();
+}
+function startTouchDrag(start){
+  // Drag the node the press started on (or the minimap view), or pan when there's
+  // none (or it would connect or pick a target instead)
+  movePointerTo(start);
+  if (isOverMinimap(start.x, start.y) || (hoveredNode && !isConnectingNode && !isPickingTarget)) {
+    mousePressed();
+    touchGesture = { kind: 'drag' };
+  } else {
+    touchGesture = { kind: 'pan', last: start };
+  }
+}
+function endTouchGesture(){
+  if (!touchGesture) return;
+  clearTimeout(touchGesture.timer);
+  if (touchGesture.kind === 'drag') mouseReleased();
+  touchGesture = null;
+}
+function handleLongPress(){
+  const { start } = touchGesture;
+  touchGesture = { kind: 'done' };
+  movePointerTo(start);
+  openContextMenu(start);
+}
+function getMidpoint(a, b){
+  return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+// -- Context menu --
+function createContextMenu(){
+  contextMenu = createDiv();
+  contextMenu.class('panel context-menu');
+  contextMenu.hide();
+}
+function openContextMenu(point){
+  const node = hoveredNode;
+  const edge = node ? null : hoveredEdge;
+  let items;
+  if (node) {
+    items = [
+      ['Connect', () => { selectNode(node); connectModeOn(); }],
+      ['Inspect', () => selectNode(node)],
+      ['Delete', () => deleteNodes(selection.has(node) ? [...selection] : [node])],
+    ];
+  } else if (edge) {
+    items = [
+      ['Edit', () => { selectEdge(edge); editSelectedEdge(); }],
+      ['Capacity', () => { selectEdge(edge); setSelectedEdgeCapacity(); }],
+      ['Split', () => { selectEdge(edge); splitSelectedEdge(); }],
+      ['Delete', () => deleteEdge(edge)],
+    ];
+  } else {
+    items = [
+      ['Paste', () => { movePointerTo(point); pasteClipboard(); }],
+      ['Reset camera', home],
+      ['Commands', togglePalette],
+    ];
+  }
+
+  contextMenu.html('');
+  for (const [label, action] of items) {
+    createButton(label).parent(contextMenu).mousePressed(() => {
+      hideContextMenu();
+      action();
+    });
+  }
+  // The point is on the canvas, the menu is placed on the page
+  const rect = canvas.elt.getBoundingClientRect();
+  contextMenu.position(rect.left + window.scrollX + point.x, rect.top + window.scrollY + point.y);
+  contextMenu.show();
+}
+function hideContextMenu(){
+  contextMenu.hide();
+}
+// -------------------------------
 //  EVENT HANDLERS (UI)
 // -------------------------------
 function handleConnectButton() {
@@ -431,10 +1301,134 @@ function handlePreviewButton(){
   isDrawPreview = !isDrawPreview;
   updateUIState();
 }
+function handleDirectedButton(){
+  // Undirected graphs have one edge per pair, a reciprocal edge merges into the first one
+  const merged = [];
+  if (graph.directed) {
+    const seen = new Set();
+    for (const edge of edges) {
+      if (seen.has(edge.reverseKey())) merged.push(edge);
+      seen.add(edge.key());
+    }
+    graph.removeEdges(merged);
+  }
+  graph.setMode({ directed: !graph.directed });
+  updateUIState();
+  saveState(`Directed edges ${graph.directed ? "on" : "off"}`);
+  if (merged.length) createToast(`Merged ${merged.length} reciprocal edge pair(s), undo brings them back.`);
+}
+function handleWeightedButton(){
+  graph.setMode({ weighted: !graph.weighted });
+  updateUIState();
+  saveState(`Weighted edges ${graph.weighted ? "on" : "off"}`);
+}
+function handleEscape(){
+  hideContextMenu();
+  connectModeOff();
+  isPickingTarget = false;
+  stopPlayback();
+  clearSelection();
+}
+function handlePathButton(){
+  if (!selectedNode) {
+    createToast("Please select a source node first.");
+    return;
+  }
+
+  if (pathModeSelect.value() === 'Source → target') {
+    // Pick the target with the next click, like connect mode
+    connectModeOff();
+    isPickingTarget = true;
+    targetAction = startPathfinding;
+    createToast("Click the target node.");
+  } else {
+    startPathfinding(selectedNode, null);
+  }
+}
+function handlePathCostButton(){
+  isEuclideanCost = !isEuclideanCost;
+  updateUIState();
+}
+function handleInspectorInput(){
+  if (!inspectedNode) return;
+  const node = inspectedNode;
+
+  // Apply live; out of range numbers are ignored until the field is left
+  node.label = inspectorLabelInput.value();
+  node.color = inspectorColorPicker.value();
+  const r = Number(inspectorRadiusInput.value());
+  if (isFinite(r) && r >= 5 && r <= 100) node.r = r;
+  const speed = Number(inspectorSpeedInput.value());
+  if (isFinite(speed) && speed > 0 && speed <= 1) node.speed = speed;
+  const friction = Number(inspectorFrictionInput.value());
+  if (isFinite(friction) && friction >= 0 && friction < 1) node.friction = friction;
+  node.attributes = parseAttributes(inspectorAttributesInput.value());
+
+  isInspectorDirty = true;
+}
+function handleInspectorChange(){
+  if (!isInspectorDirty) return;
+  isInspectorDirty = false;
+
+  // One history entry per finished edit, not per keystroke
+  loadInspector(inspectedNode);
+  saveState(inspectedNode ? `Edit node ${inspectedNode.id}` : "Edit node");
+}
+function handleLiveLayoutButton(){
+  isLiveLayout = !isLiveLayout;
+  if (isLiveLayout) {
+    isCalmMode = false;
+    isTreeMode = false; // it would undo the tree layout every frame
+  }
+  commitLayoutMoves();
+  updateUIState();
+}
+function handleCalmButton(){
+  isCalmMode = !isCalmMode;
+  if (isCalmMode) isLiveLayout = false;
+  commitLayoutMoves();
+  updateUIState();
+}
+function handleTransparentButton(){
+  isImageTransparent = !isImageTransparent;
+  updateUIState();
+}
+function handleRepresentationSelect(){
+  representationRevision = -1; // force a refresh in the new format
+}
+function handleRepresentationApply(){
+  const format = representationSelect.value();
+  try {
+    const parsed = parseRepresentation(format, representationText.value());
+    // Views that can't show the graph hold only a # note, which would parse as nothing
+    if (parsed.size === 0 && nodes.length > 0 && !confirm("The text has no nodes, remove the whole graph?")) return;
+    const dropped = countDroppedZeroEdges(parsed);
+    if (dropped > 0 && !confirm(`${dropped} edge(s) of weight 0 are not in the matrix and will be removed. Continue?`)) return;
+    if (parsed.directed && !graph.directed && format === 'Adjacency matrix') {
+      createToast("Matrix is not symmetric, switched to directed edges.");
+    }
+    rebuildGraph(parsed);
+    createToast(`Graph rebuilt from ${format.toLowerCase()}.`);
+  } catch (error) {
+    createToast("Error: " + error.message, 5000);
+  }
+}
+function countDroppedZeroEdges(parsed) {
+  // An adjacency matrix has 0 for "no edge", so weight-0 edges can't be written in one.
+  // Parsed nodes are ids, or for labels the existing node at that index (see rebuildGraph).
+  const idOf = i => parsed.ids.length ? parsed.ids[i] : nodes[i] && nodes[i].id;
+  const kept = new Set();
+  for (const e of parsed.edges) {
+    kept.add(idOf(e.from) + ">" + idOf(e.to));
+    if (!parsed.directed) kept.add(idOf(e.to) + ">" + idOf(e.from));
+  }
+  return edges.filter(edge => edge.weight === 0 && !kept.has(edge.key())).length;
+}
 // -------------------------------
 //  CAMERA & COORDINATES HELPERS
 // -------------------------------
 function applyZoom(delta, pivotX, pivotY){
+  cameraAnimation = null;
   let newZoom = zoom + delta;
   newZoom = constrain(newZoom, MIN_ZOOM, MAX_ZOOM);
 
@@ -458,8 +1452,79 @@ function positionUI() {
   zoomSlider.position(0, height + 100);
   boundaryButton.position(0, height + 130);
   saveButton.position(200, height + 10);
+  exportFormatSelect.position(300, height + 10);
   loadButton.position(200, height + 40);
-  previewButton.position(200, height + 70)
+  previewButton.position(200, height + 70);
+  directedButton.position(200, height + 100);
+  weightedButton.position(200, height + 130);
+  representationSelect.position(400, height + 10);
+  representationApplyButton.position(560, height + 10);
+  representationText.position(400, height + 40);
+  representationText.size(min(360, width - 420), max(60, windowHeight - height - 60));
+
+  const algorithmX = 420 + min(360, width - 420);
+  bfsButton.position(algorithmX, height + 10);
+  dfsButton.position(algorithmX + 50, height + 10);
+  playbackStopButton.position(algorithmX + 100, height + 10);
+  playbackBackButton.position(algorithmX, height + 40);
+  playbackPlayButton.position(algorithmX + 65, height + 40);
+  playbackStepButton.position(algorithmX + 120, height + 40);
+  playbackSpeedSlider.position(algorithmX, height + 70);
+  pathAlgorithmSelect.position(algorithmX, height + 100);
+  pathModeSelect.position(algorithmX + 100, height + 100);
+  pathButton.position(algorithmX, height + 130);
+  pathCostButton.position(algorithmX + 80, height + 130);
+
+  const layoutX = algorithmX + 230;
+  liveLayoutButton.position(layoutX, height + 10);
+  runLayoutButton.position(layoutX, height + 40);
+  calmButton.position(layoutX, height + 70);
+  layoutStrengthSlider.position(layoutX, height + 100);
+  layoutLengthSlider.position(layoutX, height + 130);
+
+  const imageX = layoutX + 180;
+  svgButton.position(imageX, height + 10);
+  pngButton.position(imageX + 85, height + 10);
+  imageScaleSelect.position(imageX, height + 40);
+  analysisButton.position(imageX + 85, height + 40);
+  transparentButton.position(imageX, height + 70);
+  imageMarginSlider.position(imageX, height + 100);
+  libraryButton.position(imageX, height + 130);
+  historyButton.position(imageX + 85, height + 130);
+
+  const treeX = imageX + 200;
+  treeModeButton.position(treeX, height + 10);
+  treeRootButton.position(treeX, height + 40);
+  treeCollapseButton.position(treeX + 70, height + 40);
+  treeTraversalSelect.position(treeX, height + 70);
+  treeTraverseButton.position(treeX + 100, height + 70);
+  mstAlgorithmSelect.position(treeX, height + 100);
+  mstButton.position(treeX + 80, height + 100);
+
+  const flowX = treeX + 190;
+  flowAlgorithmSelect.position(flowX, height + 10);
+  maxFlowButton.position(flowX, height + 40);
+  capacityButton.position(flowX + 70, height + 40);
+  residualButton.position(flowX, height + 70);
+  generatorButton.position(flowX, height + 100);
+  shortcutsButton.position(flowX, height + 130);
+
+  const cameraX = flowX + 130;
+  fitGraphButton.position(cameraX, height + 10);
+  fitSelectionButton.position(cameraX, height + 40);
+  minimapButton.position(cameraX, height + 70);
+  searchButton.position(cameraX, height + 100);
+  styleButton.position(cameraX, height + 130);
+  historyPanel.position(20, max(20, height - 270));
+  libraryPanel.position(340, 20);
+  restorePanel.position(width / 2 - 130, 20);
+  generatorPanel.position(width / 2 - 130, 80);
+  palettePanel.position(width / 2 - 170, 60);
+  shortcutsPanel.position(width / 2 - 170, 20);
+  searchPanel.position(width / 2 - 130, 20);
+  stylePanel.position(width / 2 + 140, 20);
+  inspectorPanel.position(width - 280, 20);
+  analysisPanel.position(width - 560, 20);
 }
 function updateWorldBounds(){
   if(isBoundaryStatic){
@@ -476,45 +1541,448 @@ function updateWorldBounds(){
     worldBounds.right = bottomRight.x;
     worldBounds.bottom = bottomRight.y;
   }
+
+  // Drawing is culled against what's on screen, which differs from a static boundary
+  let topLeft = screenToWorld(0, 0);
+  let bottomRight = screenToWorld(width, height);
+  viewBounds.left = topLeft.x;
+  viewBounds.top = topLeft.y;
+  viewBounds.right = bottomRight.x;
+  viewBounds.bottom = bottomRight.y;
+}
+function isRectInView(left, top, right, bottom, margin = 0){
+  return right >= viewBounds.left - margin && left <= viewBounds.right + margin &&
+    bottom >= viewBounds.top - margin && top <= viewBounds.bottom + margin;
 }
 function home(){
+  cameraAnimation = null;
   zoom = 1;
   offsetX = 0;
   offsetY = 0;
+  zoomSlider.value(zoom);
 }
 function screenToWorld(mx, my) {
   let worldX = (mx - offsetX) / zoom;
   let worldY = (my - offsetY) / zoom;
   return createVector(worldX, worldY);
 }
+function moveCamera(target, isAnimated = true){
+  // Shows the world point target.x, target.y in the middle of the canvas at target.zoom
+  if (!isAnimated) {
+    cameraAnimation = null;
+    setCamera(target);
+    return;
+  }
+  const center = screenToWorld(width / 2, height / 2);
+  cameraAnimation = { from: { x: center.x, y: center.y, zoom }, to: target, start: millis() };
+}
+function updateCameraAnimation(){
+  if (!cameraAnimation) return;
+  const { from, to, start } = cameraAnimation;
+  const t = min(1, (millis() - start) / CAMERA_ANIMATION_TIME);
+  const eased = t < 0.5 ? 2 * t * t : 1 - pow(2 - 2 * t, 2) / 2;
+  // Zoom changes by the same factor every frame, which looks even
+  setCamera({
+    x: lerp(from.x, to.x, eased),
+    y: lerp(from.y, to.y, eased),
+    zoom: from.zoom * pow(to.zoom / from.zoom, eased),
+  });
+  if (t === 1) cameraAnimation = null;
+}
+function setCamera({ x, y, zoom: newZoom }){
+  zoom = newZoom;
+  offsetX = width / 2 - x * zoom;
+  offsetY = height / 2 - y * zoom;
+  zoomSlider.value(zoom);
+}
+function fitNodes(list, isAnimated = true){
+  // False if there's nothing to fit; collapsed subtrees don't count
+  const shown = list.filter(node => !isHiddenInTree(node));
+  if (shown.length === 0) return false;
+
+  let left = Infinity, top = Infinity, right = -Infinity, bottom = -Infinity;
+  for (const node of shown) {
+    const r = node.getRadius();
+    left = min(left, node.x - r);
+    top = min(top, node.y - r);
+    right = max(right, node.x + r);
+    bottom = max(bottom, node.y + r);
+  }
+  const fitZoom = min((width - 2 * FIT_MARGIN) / (right - left), (height - 2 * FIT_MARGIN) / (bottom - top));
+  moveCamera({
+    x: (left + right) / 2,
+    y: (top + bottom) / 2,
+    zoom: constrain(fitZoom, MIN_ZOOM, FIT_MAX_ZOOM),
+  }, isAnimated);
+  return true;
+}
+function fitGraph(isAnimated = true){
+  if (!fitNodes(nodes, isAnimated)) home();
+}
+function fitSelection(){
+  const list = selection.size > 0 ? [...selection] : selectedEdge ? [selectedEdge.a, selectedEdge.b] : [];
+  if (!fitNodes(list)) createToast("Select some nodes or an edge first.");
+}
+function centerOnNode(node){
+  moveCamera({ x: node.x, y: node.y, zoom });
+}
+
+// -- Minimap --
+function getMinimapFrame(){
+  // Where the minimap is on screen, and how it maps the world: it always shows
+  // every node and the whole view
+  const box = { x: width - MINIMAP_WIDTH - 10, y: height - MINIMAP_HEIGHT - 10, w: MINIMAP_WIDTH, h: MINIMAP_HEIGHT };
+  let { left, top, right, bottom } = viewBounds;
+  for (const node of nodes) {
+    if (isHiddenInTree(node)) continue;
+    left = min(left, node.x);
+    top = min(top, node.y);
+    right = max(right, node.x);
+    bottom = max(bottom, node.y);
+  }
+  const scale = min((box.w - 10) / (right - left), (box.h - 10) / (bottom - top));
+  return {
+    box,
+    scale,
+    originX: box.x + (box.w - (right - left) * scale) / 2 - left * scale,
+    originY: box.y + (box.h - (bottom - top) * scale) / 2 - top * scale,
+  };
+}
+function isOverMinimap(x, y){
+  if (!isMinimapShown) return false;
+  const { box } = getMinimapFrame();
+  return x >= box.x && x <= box.x + box.w && y >= box.y && y <= box.y + box.h;
+}
+function moveCameraToMinimap(x, y){
+  // Uses the frame from when the drag started, the frame itself follows the view
+  const frame = minimapDragFrame;
+  moveCamera({ x: (x - frame.originX) / frame.scale, y: (y - frame.originY) / frame.scale, zoom }, false);
+}
+function drawMinimap(){
+  if (!isMinimapShown) return;
+  const { box, scale, originX, originY } = minimapDragFrame || getMinimapFrame();
+  const sx = x => originX + x * scale;
+  const sy = y => originY + y * scale;
+
+  push();
+  fill(0, 180);
+  noStroke();
+  rect(box.x, box.y, box.w, box.h, 5);
+  drawingContext.save();
+  drawingContext.beginPath();
+  drawingContext.rect(box.x, box.y, box.w, box.h);
+  drawingContext.clip();
+
+  if (edges.length <= MINIMAP_EDGE_LIMIT) {
+    stroke(120);
+    strokeWeight(1);
+    for (const edge of edges) {
+      if (isEdgeHiddenInTree(edge)) continue;
+      line(sx(edge.a.x), sy(edge.a.y), sx(edge.b.x), sy(edge.b.y));
+    }
+  }
+  noStroke();
+  for (const node of nodes) {
+    if (isHiddenInTree(node)) continue;
+    fill(node.getColor());
+    circle(sx(node.x), sy(node.y), max(3, node.getRadius() * 2 * scale));
+  }
+
+  // The part of the world the canvas shows
+  noFill();
+  stroke(255, 220, 0);
+  strokeWeight(1.5);
+  rect(sx(viewBounds.left), sy(viewBounds.top), (viewBounds.right - viewBounds.left) * scale, (viewBounds.bottom - viewBounds.top) * scale);
+  drawingContext.restore();
+  pop();
+}
 // -------------------------------
 //  LOGIC & SERVICES
 // -------------------------------
 function attemptConnection(targetNode) {
   if (!selectedNode || !targetNode || selectedNode === targetNode) return;
 
-  let exists = edges.some(
-    ([a, b]) =>
-      (a === selectedNode && b === targetNode) ||
-      (a === targetNode && b === selectedNode)
-  );
+  let existing = graph.findEdge(selectedNode, targetNode);
+  let treeProblem = isTreeMode && !existing ? getTreeEdgeProblem(selectedNode, targetNode) : null;
 
-  if (!exists) {
-    edges.push([selectedNode, targetNode]);
-    saveState();
-    createToast(`Connected ${selectedNode.id} → ${targetNode.id}`);
+  if (treeProblem) {
+    createToast("Error: " + treeProblem);
+  } else if (!existing) {
+    let edge = new Edge(selectedNode, targetNode);
+    let weight = graph.weighted ? promptEdgeWeight(edge) : edge.weight;
+    // A cancelled or invalid weight connects nothing
+    if (weight !== null) {
+      edge.weight = weight;
+      graph.addEdge(edge);
+      saveState(`Connect ${edge.name()}`);
+      createToast(`Connected ${edge.name()}`);
+    }
   } else {
-    createToast("These nodes are already connected.");
+    // Connecting an already connected pair edits that edge instead
+    editEdge(existing);
   }
 
   isConnectingNode = false;
-  selectedNode = null;
+  clearSelection();
   updateUIState();
 }
-function updateNodesID(){
-  for (let i = 0; i < nodes.length; i++){
-    nodes[i].id = (i+1);
+function editEdge(edge) {
+  // The edge only changes once both prompts went through
+  let weight = graph.weighted ? promptEdgeWeight(edge) : edge.weight;
+  if (weight === null) return;
+  let label = promptEdgeLabel(edge);
+  if (label === null) return;
+
+  if (weight !== edge.weight || label !== edge.label) {
+    edge.weight = weight;
+    edge.label = label;
+    saveState(`Edit edge ${edge.name()}`);
+    createToast(`Updated edge ${edge.name()}`);
+  } else {
+    createToast("These nodes are already connected.");
+  }
+}
+function promptEdgeWeight(edge) {
+  // The new weight, or null when cancelled or not a number
+  let input = prompt(`Weight of edge ${edge.name()}:`, edge.weight);
+  if (input === null) return null;
+
+  let weight = Number(input);
+  if (input.trim() === "" || !isFinite(weight)) {
+    createToast("Error: Edge weight must be a number.");
+    return null;
+  }
+  return weight;
+}
+function promptEdgeCapacity(edge) {
+  // The new capacity, null when left blank to follow the weight, or undefined when cancelled or invalid
+  let input = prompt(`Capacity of edge ${edge.name()} (blank uses the weight):`, edge.capacity === null ? "" : edge.capacity);
+  if (input === null) return undefined;
+  if (input.trim() === "") return null;
+
+  let capacity = Number(input);
+  if (!isFinite(capacity) || capacity < 0) {
+    createToast("Error: Edge capacity must be a number, 0 or more.");
+    return undefined;
+  }
+  return capacity;
+}
+function promptEdgeLabel(edge) {
+  // The new label, or null when cancelled
+  let input = prompt(`Label of edge ${edge.name()}:`, edge.label);
+  return input === null ? null : input.trim();
+}
+function pickTarget(targetNode) {
+  if (!selectedNode || !targetNode) return;
+  isPickingTarget = false;
+
+  if (selectedNode === targetNode) {
+    createToast("Pick a target other than the source.");
+    return;
+  }
+  targetAction(selectedNode, targetNode);
+}
+function getAdjacency() {
+  // node -> [{ node, edge }]: outgoing neighbours in directed mode, all neighbours otherwise, ordered by id
+  const adjacency = new Map(nodes.map(node => [node, []]));
+  for (const edge of edges) {
+    adjacency.get(edge.a).push({ node: edge.b, edge });
+    if (!graph.directed) adjacency.get(edge.b).push({ node: edge.a, edge });
+  }
+  for (const neighbours of adjacency.values()) {
+    neighbours.sort((p, q) => p.node.id - q.node.id);
+  }
+  return adjacency;
+}
+function getStructureSignature() {
+  return graph.directed + "|" + nodes.length + "|" + edges.map(edge => edge.key()).join(",");
+}
+function selectNode(node){
+  // Clicking inside a multi-selection keeps it, so the group can be dragged
+  if (!selection.has(node)) selection = new Set([node]);
+  selectedNode = node;
+  selectedEdge = null;
+}
+function selectEdge(edge){
+  clearSelection();
+  selectedEdge = edge;
+}
+function toggleSelected(node){
+  if (selection.has(node)) {
+    selection.delete(node);
+    if (selectedNode === node) selectedNode = [...selection].pop() || null;
+  } else {
+    selection.add(node);
+    selectedNode = node;
+  }
+  selectedEdge = null;
+}
+function selectInBox(x1, y1, x2, y2){
+  const left = min(x1, x2);
+  const right = max(x1, x2);
+  const top = min(y1, y2);
+  const bottom = max(y1, y2);
+  for (const node of nodes) {
+    if (isHiddenInTree(node) || isHiddenBySearch(node)) continue;
+    if (node.x >= left && node.x <= right && node.y >= top && node.y <= bottom) selection.add(node);
+  }
+  // The inspector follows a single node only
+  selectedNode = selection.size === 1 ? [...selection][0] : null;
+}
+function clearSelection(){
+  selection = new Set();
+  selectedNode = null;
+  selectedEdge = null;
+}
+function deleteNodes(toDelete, verb = "Delete"){
+  const doomed = new Set(toDelete);
+  const label = doomed.size === 1 ? `${verb} node ${toDelete[0].id}` : `${verb} ${doomed.size} nodes`;
+  graph.removeNodes(doomed); // forgetNode() drops them from the selection
+  saveState(label);
+}
+function deleteEdge(edge){
+  graph.removeEdge(edge);
+  saveState(`Delete edge ${edge.name()}`);
+  createToast(`Deleted edge ${edge.name()}`);
+}
+function editSelectedEdge(){
+  if (!selectedEdge) {
+    createToast("Please select an edge first.");
+    return;
+  }
+  editEdge(selectedEdge);
+}
+function setSelectedEdgeCapacity(){
+  if (!selectedEdge) {
+    createToast("Please select an edge first.");
+    return;
+  }
+  const edge = selectedEdge;
+  const capacity = promptEdgeCapacity(edge);
+  if (capacity === undefined || capacity === edge.capacity) return;
+
+  edge.capacity = capacity;
+  saveState(`Set capacity of ${edge.name()}`);
+  createToast(`Capacity of ${edge.name()} is ${capacity === null ? "its weight" : capacity}`);
+}
+function splitSelectedEdge(){
+  if (!selectedEdge) {
+    createToast("Please select an edge first.");
+    return;
+  }
+
+  // Replace a → b with a → mid → b; both halves keep the weight, label and capacity
+  const edge = selectedEdge;
+  const mid = addNodeAt((edge.a.x + edge.b.x) / 2, (edge.a.y + edge.b.y) / 2);
+  const index = edges.indexOf(edge);
+  graph.removeEdge(edge);
+  graph.addEdge(new Edge(edge.a, mid, edge.weight, edge.label, edge.capacity), index);
+  graph.addEdge(new Edge(mid, edge.b, edge.weight, edge.label, edge.capacity), index + 1);
+
+  clearSelection();
+  selectNode(mid);
+  saveState(`Split edge ${edge.name()}`);
+  createToast(`Split edge ${edge.name()} at node ${mid.id}`);
+}
+function deleteSelection(){
+  if (selectedEdge) {
+    deleteEdge(selectedEdge);
+    return;
+  }
+  if (!selection.size) {
+    createToast("Nothing selected.");
+    return;
+  }
+  const count = selection.size;
+  deleteNodes([...selection]);
+  createToast(`Deleted ${count} node${count === 1 ? "" : "s"}.`);
+}
+function copySelection(){
+  if (!selection.size) {
+    createToast("Nothing selected.");
+    return false;
+  }
+
+  // Store nodes relative to their center, so pasting can place them at the cursor
+  const copied = [...selection];
+  const index = new Map(copied.map((node, i) => [node, i]));
+  const center = getCentroid(copied);
+  clipboard = {
+    nodes: copied.map(node => ({
+      dx: node.x - center.x,
+      dy: node.y - center.y,
+      // Default labels follow the new id instead
+      label: node.label === "node " + node.id ? null : node.label,
+      color: node.color,
+      r: node.r,
+      speed: node.speed,
+      friction: node.friction,
+      attributes: { ...node.attributes },
+    })),
+    // Only edges with both ends in the selection come along
+    edges: edges
+      .filter(edge => index.has(edge.a) && index.has(edge.b))
+      .map(edge => ({ from: index.get(edge.a), to: index.get(edge.b), weight: edge.weight, label: edge.label, capacity: edge.capacity })),
+  };
+  createToast(`Copied ${copied.length} node${copied.length === 1 ? "" : "s"}.`);
+  return true;
+}
+function cutSelection(){
+  if (!copySelection()) return;
+  deleteNodes([...selection], "Cut");
+}
+function pasteClipboard(){
+  if (!clipboard) {
+    createToast("Nothing to paste.");
+    return;
+  }
+
+  const pasted = clipboard.nodes.map(data => {
+    const node = addNodeAt(canvasX + data.dx, canvasY + data.dy);
+    if (data.label !== null) node.label = data.label;
+    node.color = data.color;
+    node.r = data.r;
+    node.speed = data.speed;
+    node.friction = data.friction;
+    node.attributes = { ...data.attributes };
+    return node;
+  });
+  for (const data of clipboard.edges) {
+    // Reciprocal edges copied from a directed graph are one edge in an undirected one
+    if (graph.findEdge(pasted[data.from], pasted[data.to])) continue;
+    graph.addEdge(new Edge(pasted[data.from], pasted[data.to], data.weight, data.label, data.capacity));
   }
+
+  selection = new Set(pasted);
+  selectedNode = pasted.length === 1 ? pasted[0] : null;
+  saveState(`Paste ${pasted.length} node${pasted.length === 1 ? "" : "s"}`);
+  createToast(`Pasted ${pasted.length} node${pasted.length === 1 ? "" : "s"}.`);
+}
+function addNodeAt(x, y){
+  // Ids come from the graph, the default label follows them
+  return graph.addNode(new Node(x, y, graph.nextId));
+}
+function watchGraph(){
+  // Whatever removes a node or edge, the canvas lets go of it
+  graph.on('noderemoved', ({ node }) => forgetNode(node));
+  graph.on('edgeremoved', ({ edge }) => forgetEdge(edge));
+  graph.on('cleared', () => {
+    clearSelection();
+    hoveredNode = null;
+    draggedNode = null;
+    hoveredEdge = null;
+  });
+  graph.on('change', () => graphRevision++);
+}
+function forgetNode(node){
+  selection.delete(node);
+  if (selectedNode === node) selectedNode = null;
+  if (hoveredNode === node) hoveredNode = null;
+  if (draggedNode === node) draggedNode = null;
+}
+function forgetEdge(edge){
+  if (selectedEdge === edge) selectedEdge = null;
+  if (hoveredEdge === edge) hoveredEdge = null;
 }
 function updateUIState() {
   connectButton.html("Connect Node | " + (isConnectingNode ? "ON" : "OFF"));
@@ -522,6 +1990,16 @@ function updateUIState() {
   overlapButton.html("Allow overlap | " + (isAllowOverlap ? "ON" : "OFF"));
   boundaryButton.html("Static boundary | " + (isBoundaryStatic ? "ON" : "OFF"));
   previewButton.html("Add node preview | " + (isDrawPreview ? "ON" : "OFF"));
+  directedButton.html("Directed edges | " + (graph.directed ? "ON" : "OFF"));
+  weightedButton.html("Weighted edges | " + (graph.weighted ? "ON" : "OFF"));
+  playbackPlayButton.html(playback && playback.isPlaying ? "Pause" : "Play");
+  pathCostButton.html("Unweighted cost | " + (isEuclideanCost ? "EUCLIDEAN" : "HOPS"));
+  liveLayoutButton.html("Live layout | " + (isLiveLayout ? "ON" : "OFF"));
+  calmButton.html("Calm mode | " + (isCalmMode ? "ON" : "OFF"));
+  transparentButton.html("Transparent background | " + (isImageTransparent ? "ON" : "OFF"));
+  treeModeButton.html("Tree mode | " + (isTreeMode ? "ON" : "OFF"));
+  residualButton.html("Residual graph | " + (isResidualShown ? "ON" : "OFF"));
+  minimapButton.html("Minimap | " + (isMinimapShown ? "ON" : "OFF"));
 }
 function connectModeOn(){
   if(!isConnectingNode){
@@ -531,170 +2009,4517 @@ function connectModeOn(){
 function connectModeOff(){
   if(isConnectingNode){
     isConnectingNode = false;
-    selectedNode = null;
+    clearSelection();
     updateUIState();
   }
 }
-function zoomIn(value=0.1){
-  applyZoom(value, width / 2, height / 2);
+function updateRepresentationPanel(){
+  if (representationRevision === graphRevision) return;
+  // Don't overwrite what the user is typing; refresh once they leave the field
+  if (document.activeElement === representationText.elt) return;
+
+  representationText.value(formatRepresentation(representationSelect.value()));
+  representationRevision = graphRevision;
 }
-function zoomOut(value=0.1){
-  applyZoom(-value, width / 2, height / 2);
+function createInspector(){
+  inspectorPanel = createDiv();
+  inspectorPanel.class('panel');
+  inspectorPanel.hide();
+
+  createDiv('Node inspector').class('panel-title').parent(inspectorPanel);
+  inspectorLabelInput = createInspectorField('Label', createInput(''));
+  inspectorColorPicker = createInspectorField('Color', createColorPicker('#ffffff'));
+  inspectorRadiusInput = createInspectorField('Radius', createInput('20', 'number'));
+  inspectorSpeedInput = createInspectorField('Spring speed', createInput('0.1', 'number'));
+  inspectorFrictionInput = createInspectorField('Friction', createInput('0.8', 'number'));
+  inspectorAttributesInput = createInspectorField('Attributes', createElement('textarea'));
+  inspectorAttributesInput.attribute('placeholder', 'key: value');
+  inspectorAttributesInput.attribute('rows', '4');
+
+  inspectorRadiusInput.attribute('step', '1');
+  inspectorSpeedInput.attribute('step', '0.05');
+  inspectorFrictionInput.attribute('step', '0.05');
+}
+function createInspectorField(title, input){
+  const field = createElement('label', title);
+  field.parent(inspectorPanel);
+  input.parent(field);
+  input.input(handleInspectorInput);
+  input.changed(handleInspectorChange);
+  return input;
+}
+function updateInspector(){
+  if (selectedNode === inspectedNode) return;
+
+  // Commit a pending edit before switching to another node
+  if (isInspectorDirty) handleInspectorChange();
+  inspectedNode = selectedNode;
+  if (inspectedNode) {
+    loadInspector(inspectedNode);
+    inspectorPanel.show();
+  } else {
+    inspectorPanel.hide();
+  }
+}
+function loadInspector(node){
+  if (!node) return;
+  inspectorLabelInput.value(node.label);
+  inspectorColorPicker.value(node.color);
+  inspectorRadiusInput.value(node.r);
+  inspectorSpeedInput.value(node.speed);
+  inspectorFrictionInput.value(node.friction);
+  inspectorAttributesInput.value(formatAttributes(node.attributes));
+}
+function parseAttributes(textValue){
+  // One "key: value" (or "key = value") per line, values kept as text
+  const attributes = {};
+  for (const line of textValue.split("\n")) {
+    const separator = line.search(/[:=]/);
+    if (separator <= 0) continue;
+    const key = line.slice(0, separator).trim();
+    if (key) attributes[key] = line.slice(separator + 1).trim();
+  }
+  return attributes;
+}
+function formatAttributes(attributes){
+  return Object.entries(attributes).map(([key, value]) => `${key}: ${value}`).join("\n");
+}
+function isOverlayEvent(event){
+  // p5 listens on the whole window, so DOM panels over the canvas need filtering
+  return !!event && !!event.target && !!canvas && event.target !== canvas.elt;
+}
+function isTypingInField(){
+  const el = document.activeElement;
+  return !!el && (el.tagName === 'TEXTAREA' || el.tagName === 'INPUT' || el.tagName === 'SELECT');
+}
+function zoomIn(value=0.1){
+  applyZoom(value, width / 2, height / 2);
+}
+function zoomOut(value=0.1){
+  applyZoom(-value, width / 2, height / 2);
+}
+function getKeyCombo(k, c) { // It now accepts the key and keyCode as arguments
+  let parts = [];
+
+  if (keyIsDown(CONTROL)) parts.push('ctrl');
+  if (keyIsDown(SHIFT)) parts.push('shift');
+  if (keyIsDown(ALT)) parts.push('alt');
+
+  let primaryKey;
+  if (KEY_NAME_MAP[c]) {
+    primaryKey = KEY_NAME_MAP[c];
+  } else if (typeof k === 'string' && k.length === 1) {
+    primaryKey = k.toLowerCase();
+  }
+
+
+  if (primaryKey) {
+    parts.push(primaryKey);
+  }
+
+  return parts.join('+');
+}
+function createToast(message, duration = 3000) {
+  toasts.push({
+    message,
+    createdAt: millis(),
+    duration,
+  });
+}
+// -------------------------------
+// COMMANDS
+// -------------------------------
+// Every action with a hotkey, or worth finding in the command palette, is registered
+// once here. Bindings are lists of key combos like "ctrl+shift+f" (see getKeyCombo);
+// the ones users change are stored, everything else follows the defaults.
+function regCommand(id, name, description, defaultKeys, action){
+  commands.set(id, { id, name, description, defaultKeys, keys: defaultKeys, action });
+}
+function runCommand(id){
+  commands.get(id).action();
+}
+function isCustomBinding(command){
+  return command.keys.join(' ') !== command.defaultKeys.join(' ');
+}
+function loadKeyBindings(){
+  const saved = readStorage(KEYS_KEY);
+  if (isPlainObject(saved)) {
+    for (const [id, keys] of Object.entries(saved)) {
+      const command = commands.get(id);
+      if (command && Array.isArray(keys) && keys.every(combo => typeof combo === 'string')) command.keys = keys;
+    }
+  }
+  rebuildHotkeys();
+}
+function saveKeyBindings(){
+  const custom = {};
+  for (const command of commands.values()) if (isCustomBinding(command)) custom[command.id] = command.keys;
+  if (Object.keys(custom).length > 0) writeStorage(KEYS_KEY, custom);
+  else removeStorage(KEYS_KEY);
+}
+function rebuildHotkeys(){
+  // A combo runs one command. Changed bindings go first, so a new default can't
+  // take a key away from the user; the loser shows up as a conflict.
+  hotkeys = {};
+  const ordered = [...commands.values()].sort((a, b) => isCustomBinding(b) - isCustomBinding(a));
+  for (const command of ordered) {
+    for (const combo of command.keys) if (!hotkeys[combo]) hotkeys[combo] = command.id;
+  }
+}
+function setKeyBindings(id, keys){
+  commands.get(id).keys = keys;
+  saveKeyBindings();
+  rebuildHotkeys();
+  renderShortcuts();
+}
+function splitKeyCombo(combo){
+  // "ctrl++" is Ctrl and the plus key
+  const [, modifiers, primaryKey] = combo.match(/^((?:(?:ctrl|shift|alt)\+)*)(.*)$/);
+  return { modifiers: modifiers.split('+').filter(Boolean), primaryKey };
+}
+function formatKeyCombo(combo){
+  const { modifiers, primaryKey } = splitKeyCombo(combo);
+  const name = part => KEY_LABELS[part] || part[0].toUpperCase() + part.slice(1);
+  return [...modifiers, primaryKey].map(name).join(' + ');
+}
+function formatKeyBindings(command){
+  return command.keys.map(formatKeyCombo).join(' / ');
+}
+
+// -- Command palette --
+function createCommandPalette(){
+  palettePanel = createDiv();
+  palettePanel.class('panel palette');
+  palettePanel.hide();
+
+  paletteInput = createInput('');
+  paletteInput.parent(palettePanel);
+  paletteInput.attribute('placeholder', 'Type a command');
+  paletteInput.input(() => {
+    paletteIndex = 0;
+    renderPalette();
+  });
+  // Text fields keep their keys from the hotkeys, so the palette reads its own
+  paletteInput.elt.addEventListener('keydown', handlePaletteKey);
+  paletteList = createDiv().class('palette-list').parent(palettePanel);
+  paletteList.elt.addEventListener('click', event => {
+    const row = event.target.closest('[data-command]');
+    if (row) runPaletteCommand(row.dataset.command);
+  });
+}
+function togglePalette(){
+  isPaletteOpen = !isPaletteOpen;
+  if (isPaletteOpen) {
+    paletteInput.value('');
+    paletteIndex = 0;
+    renderPalette();
+    palettePanel.show();
+    paletteInput.elt.focus();
+  } else {
+    paletteInput.elt.blur();
+    palettePanel.hide();
+  }
+}
+function handlePaletteKey(event){
+  const count = paletteMatches.length;
+  if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+    if (count > 0) paletteIndex = (paletteIndex + (event.key === 'ArrowDown' ? 1 : count - 1)) % count;
+    renderPalette();
+  } else if (event.key === 'Enter') {
+    if (count > 0) runPaletteCommand(paletteMatches[paletteIndex].id);
+  } else if (event.key === 'Escape' || (event.key.toLowerCase() === 'k' && event.ctrlKey)) {
+    togglePalette();
+  } else {
+    return;
+  }
+  event.preventDefault();
+}
+function runPaletteCommand(id){
+  togglePalette();
+  runCommand(id);
+}
+function renderPalette(){
+  const query = paletteInput.value().trim();
+  paletteMatches = [...commands.values()]
+    .map(command => ({ command, score: query ? getFuzzyScore(query, command.name) : 0 }))
+    .filter(match => match.score >= 0)
+    .sort((a, b) => b.score - a.score)
+    .map(match => match.command);
+  paletteIndex = min(paletteIndex, max(0, paletteMatches.length - 1));
+
+  paletteList.html(paletteMatches.map((command, i) =>
+    `<div class="palette-item${i === paletteIndex ? " current" : ""}" data-command="${command.id}" title="${escapeXml(command.description)}">` +
+    `<span>${escapeXml(command.name)}</span><span class="palette-keys">${escapeXml(formatKeyBindings(command))}</span></div>`
+  ).join("") || `<div class="palette-empty">No matching command</div>`);
+
+  const current = paletteList.elt.querySelector('.current');
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+function getFuzzyScore(query, text){
+  // Every query character in order, -1 if they aren't all there. Runs and word
+  // starts score higher, and shorter names win ties.
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let from = 0;
+  let previous = -2;
+  for (const char of query.toLowerCase().replace(/\s+/g, '')) {
+    const i = haystack.indexOf(char, from);
+    if (i < 0) return -1;
+    score += 1;
+    if (i === previous + 1) score += 3;
+    if (i === 0 || /[\s/-]/.test(haystack[i - 1])) score += 2;
+    previous = i;
+    from = i + 1;
+  }
+  return score - haystack.length / 100;
+}
+
+// -- Keyboard shortcuts dialog --
+function createShortcutsPanel(){
+  shortcutsPanel = createDiv();
+  shortcutsPanel.class('panel shortcuts');
+  shortcutsPanel.hide();
+
+  createDiv('Keyboard shortcuts').class('panel-title').parent(shortcutsPanel);
+  shortcutsMessage = createDiv('').class('shortcuts-message').parent(shortcutsPanel);
+  shortcutsList = createDiv().class('shortcuts-list').parent(shortcutsPanel);
+  // One listener for every row's buttons
+  shortcutsList.elt.addEventListener('click', event => {
+    const button = event.target.closest('[data-action]');
+    if (!button) return;
+    if (button.dataset.action === 'change') startRebinding(button.dataset.command);
+    else setKeyBindings(button.dataset.command, []);
+  });
+  const actions = createDiv().class('panel-actions').parent(shortcutsPanel);
+  createButton('Reset all').parent(actions).mousePressed(resetKeyBindings);
+  createButton('Close').parent(actions).mousePressed(toggleShortcuts);
+}
+function toggleShortcuts(){
+  isShortcutsOpen = !isShortcutsOpen;
+  rebindingCommand = null;
+  if (isShortcutsOpen) {
+    renderShortcuts();
+    shortcutsPanel.show();
+  } else {
+    shortcutsPanel.hide();
+  }
+}
+function renderShortcuts(message = ""){
+  if (!isShortcutsOpen) return;
+  shortcutsMessage.html(escapeXml(message));
+
+  const row = command => {
+    // Keys another command already answers to are struck out
+    const keys = command.keys.map(combo => {
+      const owner = hotkeys[combo] === command.id ? null : commands.get(hotkeys[combo]);
+      return owner
+        ? `<s title="Taken by ${escapeXml(owner.name)}">${escapeXml(formatKeyCombo(combo))}</s>`
+        : escapeXml(formatKeyCombo(combo));
+    });
+    const isConflict = command.keys.some(combo => hotkeys[combo] !== command.id);
+    const state = command.id === rebindingCommand ? " current" : isConflict ? " conflict" : "";
+    return `<div class="shortcut-item${state}" title="${escapeXml(command.description)}">` +
+      `<span class="shortcut-name">${escapeXml(command.name)}</span>` +
+      `<span class="shortcut-keys">${command.id === rebindingCommand ? "Press a key" : keys.join(' / ')}</span>` +
+      `<button data-command="${command.id}" data-action="change">Change</button>` +
+      `<button data-command="${command.id}" data-action="clear">Clear</button></div>`;
+  };
+  shortcutsList.html([...commands.values()].map(row).join(""));
+}
+function startRebinding(id){
+  rebindingCommand = id;
+  renderShortcuts(`Press the new key for "${commands.get(id).name}", or Escape to cancel.`);
+}
+function captureKeyBinding(combo){
+  // Called with every key press while rebinding; modifiers alone keep waiting
+  const { primaryKey } = splitKeyCombo(combo);
+  if (['', 'ctrl', 'shift', 'alt'].includes(primaryKey)) return;
+
+  const id = rebindingCommand;
+  if (combo === 'escape') {
+    rebindingCommand = null;
+    renderShortcuts();
+    return;
+  }
+  const owner = hotkeys[combo];
+  if (owner && owner !== id) {
+    renderShortcuts(`${formatKeyCombo(combo)} already runs "${commands.get(owner).name}". Press another key, or clear that one first.`);
+    return;
+  }
+  rebindingCommand = null;
+  setKeyBindings(id, [combo]);
+}
+function resetKeyBindings(){
+  for (const command of commands.values()) command.keys = command.defaultKeys;
+  rebindingCommand = null;
+  saveKeyBindings();
+  rebuildHotkeys();
+  renderShortcuts("All shortcuts are back to their defaults.");
+}
+// -------------------------------
+// HISTORY MANAGEMENT
+// -------------------------------
+// Snapshots hold the whole graph; saved files, autosave and the library use them.
+function createSnapshot() {
+  const snapshotNodes = nodes.map(n => {
+    // Create a new object for each node to break references
+    return {
+      x: n.x,
+      y: n.y,
+      id: n.id,
+      label: n.label,
+      // Add any other properties you want to save per node
+      color: n.color,
+      r: n.r,
+      speed: n.speed,
+      friction: n.friction,
+      attributes: { ...n.attributes },
+      tx: n.tx,
+      ty: n.ty,
+      collapsed: n.collapsed
+    };
+  });
+
+  // Edges are more complex because they reference nodes. We'll save them by node ID.
+  const snapshotEdges = edges.map(edge => {
+    return {
+      from: edge.a.id,
+      to: edge.b.id,
+      weight: edge.weight,
+      label: edge.label,
+      // Left out while it follows the weight
+      capacity: edge.capacity === null ? undefined : edge.capacity
+    };
+  });
+
+  return {
+    directed: graph.directed,
+    weighted: graph.weighted,
+    nodes: snapshotNodes,
+    edges: snapshotEdges,
+    style: { ...graphStyle }
+  };
+}
+function restoreFromSnapshot(snapshot) {
+  // Clear out any lingering state
+  clearSelection();
+  draggedNode = null;
+  hoveredNode = null;
+  isConnectingNode = false;
+
+  graph.clear();
+
+  // Restore nodes
+  for (const nData of snapshot.nodes) {
+    // Recreate Node objects from the snapshot data
+    const newNode = new Node(nData.x, nData.y, nData.id);
+    // Restore the saved properties, nothing else from the data ends up on the node
+    for (const field of SAVE_FIELDS.node) {
+      if (nData[field] !== undefined) newNode[field] = nData[field];
+    }
+    // Don't share the attributes object with the snapshot
+    newNode.attributes = { ...nData.attributes };
+    graph.addNode(newNode);
+  }
+
+  // Restore graph mode (older snapshots have none and are undirected, unweighted)
+  graph.setMode({ directed: snapshot.directed === true, weighted: snapshot.weighted === true });
+
+  // Restore edges by finding the new node objects by their ID
+  for (let eData of snapshot.edges) {
+    // Older snapshots store edges as bare [idA, idB] pairs
+    if (Array.isArray(eData)) eData = { from: eData[0], to: eData[1] };
+
+    const nodeA = graph.getNode(eData.from);
+    const nodeB = graph.getNode(eData.to);
+    // Only create the edge if both nodes were found
+    if (nodeA && nodeB) graph.addEdge(new Edge(nodeA, nodeB, eData.weight, eData.label, eData.capacity === undefined ? null : eData.capacity));
+  }
+
+  // Imported formats (DOT, GraphML, ...) have no style, the current one stays
+  if (snapshot.style) setGraphStyle(snapshot.style);
+
+  updateUIState(); // Refresh UI to reflect any changes
+}
+function saveGraph() {
+  const format = exportFormatSelect.value();
+  if (format === 'JSON') {
+    saveJSON(createSaveFile(), 'my-tiny-graph.json');
+  } else {
+    saveStrings(exportGraph(format).split("\n"), 'my-tiny-graph', FILE_FORMATS[format]);
+  }
+  createToast(`Graph saved as my-tiny-graph.${FILE_FORMATS[format]}`);
+}
+// History is a list of labelled commands. Each keeps only what it changed: the
+// fields of every node and edge it added, removed or edited, before and after.
+// `committed` mirrors the graph as of the current command, so the next command
+// is found by comparing the graph against it.
+function resetHistory() {
+  commandHistory = [];
+  historyIndex = -1;
+  committed = {
+    nodes: new Map(nodes.map(node => [node, recordNode(node)])),
+    edges: new Map(edges.map(edge => [edge, recordEdge(edge)])),
+    nodeOrder: nodes.slice(),
+    edgeOrder: edges.slice(),
+    directed: graph.directed,
+    weighted: graph.weighted,
+  };
+  layoutMoves.clear();
+  graphRevision++;
+}
+function recordNode(node) {
+  const record = {};
+  for (const field of NODE_HISTORY_FIELDS) record[field] = node[field];
+  record.attributes = { ...node.attributes };
+  return record;
+}
+function recordEdge(edge) {
+  return { weight: edge.weight, label: edge.label, capacity: edge.capacity };
+}
+function saveState(label = "Edit graph") {
+  graphRevision++;
+  if (isTreeMode) layoutTree(); // the tree layout is part of every change
+  const changes = diffAgainstCommitted();
+  if (!changes) return; // e.g. a click on a node that didn't move it
+  pushCommand(label, changes);
+}
+function pushCommand(label, changes) {
+  // A new command drops the undone ones after it
+  commandHistory.splice(historyIndex + 1);
+  commandHistory.push({ label, changes });
+  if (commandHistory.length > HISTORY_LIMIT) commandHistory.shift();
+  historyIndex = commandHistory.length - 1;
+}
+function recordLayoutMove(node) {
+  // The live layout moves nodes outside of any command. Their committed position
+  // follows along, so the next command's diff leaves the move out, and the start
+  // position is kept for one "Live layout" step of its own.
+  const record = committed.nodes.get(node);
+  if (!record) return;
+  if (!layoutMoves.has(node)) layoutMoves.set(node, { tx: record.tx, ty: record.ty });
+  record.tx = node.tx;
+  record.ty = node.ty;
+}
+function commitLayoutMoves() {
+  // When the layout stops, and before moving through history
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  const changes = { nodes: [], edges: [], mode: null };
+  for (const [node, before] of layoutMoves) {
+    if (!index.has(node) || (before.tx === node.tx && before.ty === node.ty)) continue;
+    changes.nodes.push({ item: node, index: index.get(node), before, after: { tx: node.tx, ty: node.ty } });
+  }
+  layoutMoves.clear();
+  if (changes.nodes.length === 0) return;
+  pushCommand("Live layout", changes);
+  graphRevision++;
+}
+function diffAgainstCommitted() {
+  const nodeChanges = diffList(nodes, committed.nodes, committed.nodeOrder, recordNode, NODE_HISTORY_FIELDS);
+  const edgeChanges = diffList(edges, committed.edges, committed.edgeOrder, recordEdge, ['weight', 'label', 'capacity']);
+  const isModeChanged = graph.directed !== committed.directed || graph.weighted !== committed.weighted;
+  if (nodeChanges.length === 0 && edgeChanges.length === 0 && !isModeChanged) return null;
+
+  const mode = isModeChanged ? {
+    before: { directed: committed.directed, weighted: committed.weighted },
+    after: { directed: graph.directed, weighted: graph.weighted },
+  } : null;
+  committed.nodeOrder = nodes.slice();
+  committed.edgeOrder = edges.slice();
+  committed.directed = graph.directed;
+  committed.weighted = graph.weighted;
+  return { nodes: nodeChanges, edges: edgeChanges, mode };
+}
+function diffList(list, records, order, record, fields) {
+  // Updates the committed records as it goes
+  const changes = [];
+  const present = new Set(list);
+  list.forEach((item, index) => {
+    const before = records.get(item);
+    if (!before) {
+      // Separate copies, the committed one is updated by later diffs
+      records.set(item, record(item));
+      changes.push({ item, index, before: null, after: record(item) });
+      return;
+    }
+
+    // Edits keep only the fields that changed
+    let fieldsBefore = null;
+    let fieldsAfter = null;
+    for (const field of fields) {
+      const value = field === 'attributes' ? { ...item.attributes } : item[field];
+      if (field === 'attributes' ? isSameAttributes(before.attributes, value) : before[field] === value) continue;
+      fieldsBefore = fieldsBefore || {};
+      fieldsAfter = fieldsAfter || {};
+      fieldsBefore[field] = before[field];
+      fieldsAfter[field] = value;
+      before[field] = value;
+    }
+    if (fieldsAfter) changes.push({ item, index, before: fieldsBefore, after: fieldsAfter });
+  });
+
+  // Removed items remember where they were, so undo can put them back
+  if (records.size > list.length) {
+    order.forEach((item, index) => {
+      if (present.has(item)) return;
+      changes.push({ item, index, before: records.get(item), after: null });
+      records.delete(item);
+    });
+  }
+  return changes;
+}
+function isSameAttributes(a, b) {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => a[key] === b[key]);
+}
+function applyChanges(changes, isUndo) {
+  const state = change => isUndo ? change.before : change.after;
+  const other = change => isUndo ? change.after : change.before;
+
+  // Drop what didn't exist yet (or anymore): edges first, they need their nodes.
+  // Then put back what did, at its old position: nodes first, for the same reason.
+  const isDropped = change => state(change) === null;
+  const isRestored = change => other(change) === null;
+  const byIndex = (a, b) => a.index - b.index;
+  graph.removeEdges(changes.edges.filter(isDropped).map(change => change.item));
+  graph.removeNodes(changes.nodes.filter(isDropped).map(change => change.item));
+  // In between, so reciprocal edges are gone before a graph turns undirected and
+  // only come back once it is directed again
+  if (changes.mode) graph.setMode(state(changes.mode));
+  for (const change of changes.nodes.filter(isRestored).sort(byIndex)) graph.addNode(change.item, change.index);
+  for (const change of changes.edges.filter(isRestored).sort(byIndex)) graph.addEdge(change.item, change.index);
+
+  applyFieldChanges(changes.nodes, isUndo, committed.nodes, recordNode);
+  applyFieldChanges(changes.edges, isUndo, committed.edges, recordEdge);
+
+  committed.nodeOrder = nodes.slice();
+  committed.edgeOrder = edges.slice();
+  committed.directed = graph.directed;
+  committed.weighted = graph.weighted;
+}
+function applyFieldChanges(changes, isUndo, records, record) {
+  const state = change => isUndo ? change.before : change.after;
+  for (const change of changes) {
+    const fields = state(change);
+    if (fields === null) {
+      records.delete(change.item);
+      continue;
+    }
+    for (const [field, value] of Object.entries(fields)) {
+      change.item[field] = field === 'attributes' ? { ...value } : value;
+    }
+    records.set(change.item, record(change.item));
+  }
+}
+function undo() {
+  commitLayoutMoves(); // so undo takes back the layout first
+  if (historyIndex < 0) {
+    createToast("Nothing to undo.");
+    return;
+  }
+  jumpToHistory(historyIndex - 1);
+}
+function redo() {
+  commitLayoutMoves();
+  if (historyIndex >= commandHistory.length - 1) {
+    createToast("Nothing to redo.");
+    return;
+  }
+  jumpToHistory(historyIndex + 1);
+}
+function jumpToHistory(index) {
+  // Layout moves since the last command become a step first, which drops the redo steps
+  commitLayoutMoves();
+  index = min(index, commandHistory.length - 1);
+  while (historyIndex > index) {
+    applyChanges(commandHistory[historyIndex].changes, true);
+    historyIndex--;
+  }
+  while (historyIndex < index) {
+    historyIndex++;
+    applyChanges(commandHistory[historyIndex].changes, false);
+  }
+
+  // Clear out any lingering state
+  clearSelection();
+  draggedNode = null;
+  hoveredNode = null;
+  isConnectingNode = false;
+  graphRevision++;
+  updateUIState();
+}
+function createHistoryPanel() {
+  historyPanel = createDiv();
+  historyPanel.class('panel history');
+  historyPanel.hide();
+
+  createDiv('History').class('panel-title').parent(historyPanel);
+  historyList = createDiv().parent(historyPanel);
+  // One listener for every row, there can be thousands
+  historyList.elt.addEventListener('click', event => {
+    const row = event.target.closest('[data-index]');
+    if (row) jumpToHistory(Number(row.dataset.index));
+  });
+}
+function toggleHistory() {
+  isHistoryOpen = !isHistoryOpen;
+  historyPanelRevision = -1;
+  if (isHistoryOpen) historyPanel.show();
+  else historyPanel.hide();
+}
+function updateHistoryPanel() {
+  if (!isHistoryOpen || historyPanelRevision === graphRevision) return;
+  historyPanelRevision = graphRevision;
+
+  const row = (index, label) => {
+    const state = index === historyIndex ? " current" : index > historyIndex ? " undone" : "";
+    return `<div class="history-item${state}" data-index="${index}">${escapeXml(label)}</div>`;
+  };
+  historyList.html(row(-1, "Start") + commandHistory.map((command, i) => row(i, command.label)).join(""));
+
+  const current = historyList.elt.querySelector('.current');
+  if (current) current.scrollIntoView({ block: 'nearest' });
+}
+// -------------------------------
+// FILE MANAGEMENT
+// -------------------------------
+function handleFileLoad(file) {
+  const format = getImportFormat(file.name);
+  if (!format) {
+    createToast("Error: Please select a .json, .dot, .graphml, .gexf, .csv or .tgf file.");
+    return;
+  }
+  try {
+    const textValue = readFileText(file);
+    const { snapshot, skipped } = format === 'JSON'
+      ? { snapshot: readSaveFile(JSON.parse(textValue)), skipped: 0 }
+      : importGraph(format, textValue);
+    openGraph(snapshot);
+    currentLibraryId = null; // a new document, not a library entry
+
+    if (skipped > 0) createToast(`Graph loaded, skipped ${skipped} self-loop or duplicate edge(s).`);
+    else createToast("Graph loaded successfully!");
+
+  } catch (error) {
+    createToast(`Error: Could not read the ${format} file.\n${error.message}`, 8000);
+    console.error("File loading error:", error);
+  }
+}
+function openGraph(snapshot) {
+  restoreFromSnapshot(snapshot);
+
+  // reset values, and bring the graph into view if it isn't
+  home();
+  if (nodes.some(node => node.x < 0 || node.x > width || node.y < 0 || node.y > height)) fitGraph(false);
+  resetHistory();
+}
+// -------------------------------
+// SAVE FORMAT
+// -------------------------------
+// Saved files carry a format version. Older files are migrated one version at
+// a time up to the current one, then checked strictly before anything loads.
+// Each migration upgrades a file from the version at its index; files from
+// before versioning have no "version" field and count as version 0.
+const SAVE_MIGRATIONS = [
+  migrateUnversionedSave,
+  migrateV1Save,
+];
+function createSaveFile() {
+  return { version: SAVE_FORMAT_VERSION, ...createSnapshot() };
+}
+function readSaveFile(data) {
+  if (!isPlainObject(data)) throw new Error("The file doesn't contain a TinyGraph graph.");
+
+  const migrated = migrateSaveFile(data);
+  const problems = validateSaveFile(migrated);
+  if (problems.length > 0) {
+    // The toast only has room for a few, the console gets them all
+    const shown = problems.slice(0, 5);
+    if (problems.length > shown.length) {
+      console.error("Save file problems:\n" + problems.join("\n"));
+      shown.push(`...and ${problems.length - shown.length} more (see the console).`);
+    }
+    throw new Error(shown.join("\n"));
+  }
+
+  // The version only matters in the file. A save without a style was made in
+  // the default one; only formats that can't store a style keep the current one.
+  const { version, ...snapshot } = migrated;
+  if (!snapshot.style) snapshot.style = { ...STYLE_DEFAULTS };
+  return snapshot;
+}
+function migrateSaveFile(data) {
+  let version = data.version === undefined ? 0 : data.version;
+  if (!Number.isInteger(version) || version < 0) throw new Error(`Unknown save format version "${data.version}".`);
+  if (version > SAVE_FORMAT_VERSION) {
+    throw new Error(`The file was saved by a newer TinyGraph (format version ${version}), please update.`);
+  }
+
+  while (version < SAVE_FORMAT_VERSION) {
+    data = SAVE_MIGRATIONS[version](data);
+    version++;
+  }
+  return data;
+}
+function migrateUnversionedSave(data) {
+  // Edges used to be bare [idA, idB] pairs, and graphs without a mode were undirected and unweighted
+  const edgesData = Array.isArray(data.edges)
+    ? data.edges.map(edge => Array.isArray(edge) ? { from: edge[0], to: edge[1] } : edge)
+    : data.edges;
+  return {
+    ...data,
+    version: 1,
+    directed: data.directed === undefined ? false : data.directed,
+    weighted: data.weighted === undefined ? false : data.weighted,
+    edges: edgesData,
+  };
+}
+function migrateV1Save(data) {
+  // Version 2 added the optional "style", files without one open in the default style
+  return { ...data, version: 2 };
+}
+function validateSaveFile(data) {
+  const problems = [];
+  const checkFields = (object, allowed, where) => {
+    for (const field of Object.keys(object)) {
+      if (!allowed.includes(field)) problems.push(`${where}: unknown field "${field}".`);
+    }
+  };
+  const checkNumber = (object, field, where, isRequired) => {
+    if (object[field] === undefined && !isRequired) return;
+    if (!Number.isFinite(object[field])) problems.push(`${where}: ${field} must be a number, not ${JSON.stringify(object[field])}.`);
+  };
+  const checkString = (object, field, where) => {
+    if (object[field] !== undefined && typeof object[field] !== 'string') problems.push(`${where}: ${field} must be text.`);
+  };
+
+  checkFields(data, SAVE_FIELDS.graph, "File");
+  for (const flag of ['directed', 'weighted']) {
+    if (typeof data[flag] !== 'boolean') problems.push(`File: "${flag}" must be true or false.`);
+  }
+  if (!Array.isArray(data.nodes)) problems.push('File: "nodes" must be a list.');
+  if (!Array.isArray(data.edges)) problems.push('File: "edges" must be a list.');
+  if (data.style !== undefined) {
+    if (!isPlainObject(data.style)) {
+      problems.push('File: "style" must be an object.');
+    } else {
+      checkFields(data.style, Object.keys(STYLE_DEFAULTS), "Style");
+      for (const [field, options] of Object.entries(STYLE_OPTIONS)) {
+        const value = data.style[field];
+        if (value !== undefined && !options.includes(value)) {
+          problems.push(`Style: ${field} must be one of ${options.join(", ")}, not ${JSON.stringify(value)}.`);
+        }
+      }
+      checkNumber(data.style, 'edgeWidth', "Style", false);
+      const [least, most] = EDGE_WIDTH_RANGE;
+      if (data.style.edgeWidth < least || data.style.edgeWidth > most) problems.push(`Style: edgeWidth must be from ${least} to ${most}.`);
+      for (const field of ['colorAttribute', 'sizeAttribute']) checkString(data.style, field, "Style");
+    }
+  }
+
+  const ids = new Set();
+  for (const [i, node] of (Array.isArray(data.nodes) ? data.nodes : []).entries()) {
+    const where = `Node ${i + 1}`;
+    if (!isPlainObject(node)) {
+      problems.push(`${where}: must be an object.`);
+      continue;
+    }
+    checkFields(node, SAVE_FIELDS.node, where);
+    if (!Number.isInteger(node.id) || node.id < 1) problems.push(`${where}: id must be a positive whole number.`);
+    else if (ids.has(node.id)) problems.push(`${where}: duplicate id ${node.id}.`);
+    ids.add(node.id);
+
+    for (const field of ['x', 'y']) checkNumber(node, field, where, true);
+    for (const field of ['tx', 'ty', 'r', 'speed', 'friction']) checkNumber(node, field, where, false);
+    checkString(node, 'label', where);
+    if (node.collapsed !== undefined && typeof node.collapsed !== 'boolean') {
+      problems.push(`${where}: collapsed must be true or false.`);
+    }
+    if (node.color !== undefined && !/^#[0-9a-f]{6}$/i.test(node.color)) {
+      problems.push(`${where}: color must look like #rrggbb, not ${JSON.stringify(node.color)}.`);
+    }
+    if (node.attributes !== undefined) {
+      if (!isPlainObject(node.attributes)) problems.push(`${where}: attributes must be an object.`);
+      else for (const name of Object.keys(node.attributes)) checkString(node.attributes, name, `${where}, attribute "${name}"`);
+    }
+  }
+
+  const pairs = new Set();
+  for (const [i, edge] of (Array.isArray(data.edges) ? data.edges : []).entries()) {
+    const where = `Edge ${i + 1}`;
+    if (!isPlainObject(edge)) {
+      problems.push(`${where}: must be an object.`);
+      continue;
+    }
+    checkFields(edge, SAVE_FIELDS.edge, where);
+    for (const end of ['from', 'to']) {
+      if (!ids.has(edge[end])) problems.push(`${where}: "${end}" is node ${JSON.stringify(edge[end])}, which doesn't exist.`);
+    }
+    if (edge.from === edge.to) problems.push(`${where}: connects node ${edge.from} to itself.`);
+    // One edge per pair of nodes, in undirected graphs whichever way round
+    const key = data.directed || edge.from < edge.to ? `${edge.from}>${edge.to}` : `${edge.to}>${edge.from}`;
+    if (pairs.has(key)) problems.push(`${where}: there already is an edge between nodes ${edge.from} and ${edge.to}.`);
+    pairs.add(key);
+    checkNumber(edge, 'weight', where, false);
+    checkNumber(edge, 'capacity', where, false);
+    if (edge.capacity < 0) problems.push(`${where}: capacity can't be negative.`);
+    checkString(edge, 'label', where);
+  }
+  return problems;
+}
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+// -------------------------------
+// LOCAL STORAGE
+// -------------------------------
+// The current graph is autosaved a moment after every change, and the "My
+// graphs" library keeps named graphs: an index of names and thumbnails under
+// one key, and each graph's save file under its own key.
+function readStorage(key) {
+  try {
+    const value = localStorage.getItem(key);
+    return value === null ? null : JSON.parse(value);
+  } catch (error) {
+    console.error("Storage read error:", error);
+    return null;
+  }
+}
+function writeStorage(key, value) {
+  try {
+    localStorage.setItem(key, JSON.stringify(value));
+    return true;
+  } catch (error) {
+    // Usually the quota; it's small, and thumbnails add up
+    console.error("Storage write error:", error);
+    return false;
+  }
+}
+function removeStorage(key) {
+  try {
+    localStorage.removeItem(key);
+  } catch (error) {
+    console.error("Storage remove error:", error);
+  }
+}
+
+// -- Autosave --
+function updateAutosave() {
+  if (isRestoreOffered) return; // keep the last session until the user decides
+
+  // Wait until changes settle instead of writing on every one
+  if (autosave.seenRevision !== graphRevision) {
+    autosave.seenRevision = graphRevision;
+    autosave.changedAt = millis();
+  }
+  if (autosave.savedRevision === graphRevision || millis() - autosave.changedAt < AUTOSAVE_DELAY) return;
+  writeAutosave();
+}
+function writeAutosave() {
+  autosave.savedRevision = graphRevision;
+  const isSaved = writeStorage(AUTOSAVE_KEY, {
+    savedAt: Date.now(),
+    libraryId: currentLibraryId,
+    graph: createSaveFile(),
+  });
+  // Say it once, not after every change
+  if (!isSaved && !autosave.hasFailed) createToast("Error: Could not autosave, browser storage is full or disabled.");
+  autosave.hasFailed = !isSaved;
+}
+function handleBeforeUnload() {
+  if (!isRestoreOffered && autosave.savedRevision !== graphRevision) writeAutosave();
+}
+function createRestorePanel() {
+  restorePanel = createDiv();
+  restorePanel.class('panel');
+  restorePanel.hide();
+
+  createDiv('Restore last session?').class('panel-title').parent(restorePanel);
+  restoreMessage = createDiv().parent(restorePanel);
+  const actions = createDiv().class('panel-actions').parent(restorePanel);
+  createButton('Restore').parent(actions).mousePressed(handleRestoreButton);
+  createButton('Discard').parent(actions).mousePressed(closeRestoreOffer);
+}
+function offerRestore() {
+  const saved = readStorage(AUTOSAVE_KEY);
+  if (!isPlainObject(saved) || !isPlainObject(saved.graph) || !Array.isArray(saved.graph.nodes)) return;
+  if (saved.graph.nodes.length === 0) return;
+
+  isRestoreOffered = true;
+  const savedAt = new Date(saved.savedAt).toLocaleString();
+  restoreMessage.html(`${saved.graph.nodes.length} nodes, ${saved.graph.edges.length} edges, autosaved ${savedAt}.`);
+  restorePanel.show();
+}
+function handleRestoreButton() {
+  const saved = readStorage(AUTOSAVE_KEY);
+  closeRestoreOffer();
+  try {
+    openGraph(readSaveFile(saved.graph));
+    // Still "the" library graph, if it hasn't been deleted since
+    currentLibraryId = readLibrary().some(entry => entry.id === saved.libraryId) ? saved.libraryId : null;
+    createToast("Last session restored.");
+  } catch (error) {
+    createToast(`Error: Could not restore the last session.\n${error.message}`, 8000);
+    console.error("Restore error:", error);
+  }
+}
+function closeRestoreOffer() {
+  isRestoreOffered = false;
+  restorePanel.hide();
+}
+
+// -- My graphs --
+function createLibraryPanel() {
+  libraryPanel = createDiv();
+  libraryPanel.class('panel library');
+  libraryPanel.hide();
+
+  createDiv('My graphs').class('panel-title').parent(libraryPanel);
+  const actions = createDiv().class('panel-actions').parent(libraryPanel);
+  createButton('Save').parent(actions).mousePressed(() => saveToLibrary(false));
+  createButton('Save as new').parent(actions).mousePressed(() => saveToLibrary(true));
+  createButton('Close').parent(actions).mousePressed(toggleLibrary);
+  libraryList = createDiv().parent(libraryPanel);
+}
+function toggleLibrary() {
+  isLibraryOpen = !isLibraryOpen;
+  if (isLibraryOpen) {
+    renderLibrary();
+    libraryPanel.show();
+  } else {
+    libraryPanel.hide();
+  }
+}
+function renderLibrary() {
+  for (const item of libraryItems) item.remove();
+  libraryItems = [];
+
+  const index = readLibrary();
+  if (index.length === 0) {
+    libraryItems.push(createDiv('No saved graphs yet. Save one with Ctrl + S.').parent(libraryList));
+    return;
+  }
+
+  for (const entry of [...index].sort((a, b) => b.savedAt - a.savedAt)) {
+    const item = createDiv().class('library-item').parent(libraryList);
+    if (entry.id === currentLibraryId) item.addClass('current');
+    createImg(entry.thumbnail, `Preview of ${entry.name}`).parent(item);
+
+    const info = createDiv().class('library-info').parent(item);
+    // Names are user text, so never parse them as HTML
+    createDiv().class('library-name').parent(info).elt.textContent = entry.name;
+    createDiv(`${entry.nodeCount} nodes, ${entry.edgeCount} edges<br>${new Date(entry.savedAt).toLocaleString()}`)
+      .class('library-meta').parent(info);
+
+    const actions = createDiv().class('panel-actions').parent(info);
+    createButton('Open').parent(actions).mousePressed(() => openLibraryGraph(entry.id));
+    createButton('Rename').parent(actions).mousePressed(() => renameLibraryGraph(entry.id));
+    createButton('Duplicate').parent(actions).mousePressed(() => duplicateLibraryGraph(entry.id));
+    createButton('Delete').parent(actions).mousePressed(() => deleteLibraryGraph(entry.id));
+    libraryItems.push(item);
+  }
+}
+function readLibrary() {
+  const index = readStorage(LIBRARY_KEY);
+  return Array.isArray(index) ? index : [];
+}
+function createLibraryId() {
+  return Date.now().toString(36) + floor(random(1e6)).toString(36);
+}
+function saveToLibrary(isNew) {
+  const index = readLibrary();
+  let entry = isNew ? null : index.find(e => e.id === currentLibraryId);
+  if (!entry) {
+    const name = prompt("Name this graph:", `Graph ${index.length + 1}`);
+    if (name === null || name.trim() === "") return;
+    entry = { id: createLibraryId(), name: name.trim() };
+    index.push(entry);
+  }
+  entry.savedAt = Date.now();
+  entry.nodeCount = nodes.length;
+  entry.edgeCount = edges.length;
+  entry.thumbnail = createThumbnail();
+
+  if (!writeStorage(LIBRARY_PREFIX + entry.id, createSaveFile()) || !writeStorage(LIBRARY_KEY, index)) {
+    createToast("Error: Could not save, browser storage is full or disabled.");
+    return;
+  }
+  currentLibraryId = entry.id;
+  libraryRevision = graphRevision;
+  if (isLibraryOpen) renderLibrary();
+  createToast(`Saved "${entry.name}" to My graphs.`);
+}
+function openLibraryGraph(id) {
+  const entry = readLibrary().find(e => e.id === id);
+  const data = readStorage(LIBRARY_PREFIX + id);
+  if (!entry || !data) {
+    createToast("Error: That graph is missing from browser storage.");
+    return;
+  }
+  if (hasUnsavedChanges() && !confirm("Discard the unsaved changes to the current graph?")) return;
+
+  try {
+    openGraph(readSaveFile(data));
+    currentLibraryId = id;
+    libraryRevision = graphRevision;
+    renderLibrary();
+    createToast(`Opened "${entry.name}".`);
+  } catch (error) {
+    createToast(`Error: Could not open "${entry.name}".\n${error.message}`, 8000);
+    console.error("Library open error:", error);
+  }
+}
+function renameLibraryGraph(id) {
+  const index = readLibrary();
+  const entry = index.find(e => e.id === id);
+  if (!entry) return;
+
+  const name = prompt("Rename graph:", entry.name);
+  if (name === null || name.trim() === "") return;
+  entry.name = name.trim();
+  if (!writeStorage(LIBRARY_KEY, index)) createToast("Error: Could not save, browser storage is full or disabled.");
+  renderLibrary();
+}
+function duplicateLibraryGraph(id) {
+  const index = readLibrary();
+  const entry = index.find(e => e.id === id);
+  const data = readStorage(LIBRARY_PREFIX + id);
+  if (!entry || !data) return;
+
+  const copy = { ...entry, id: createLibraryId(), name: `${entry.name} (copy)`, savedAt: Date.now() };
+  index.push(copy);
+  if (!writeStorage(LIBRARY_PREFIX + copy.id, data) || !writeStorage(LIBRARY_KEY, index)) {
+    createToast("Error: Could not save, browser storage is full or disabled.");
+    return;
+  }
+  renderLibrary();
+}
+function deleteLibraryGraph(id) {
+  const index = readLibrary();
+  const entry = index.find(e => e.id === id);
+  if (!entry || !confirm(`Delete "${entry.name}" from My graphs?`)) return;
+
+  removeStorage(LIBRARY_PREFIX + id);
+  writeStorage(LIBRARY_KEY, index.filter(e => e.id !== id));
+  if (currentLibraryId === id) currentLibraryId = null;
+  renderLibrary();
+}
+function hasUnsavedChanges() {
+  return nodes.length > 0 && graphRevision !== libraryRevision;
+}
+function createThumbnail() {
+  const graphics = createGraphics(THUMBNAIL_WIDTH, THUMBNAIL_HEIGHT);
+  graphics.pixelDensity(1);
+  const theme = getTheme();
+  graphics.background(theme.background);
+  updateStyles();
+
+  if (nodes.length > 0) {
+    // Fit every node in, with a small border
+    let left = Infinity;
+    let top = Infinity;
+    let right = -Infinity;
+    let bottom = -Infinity;
+    for (const node of nodes) {
+      const r = node.getRadius();
+      left = min(left, node.x - r);
+      top = min(top, node.y - r);
+      right = max(right, node.x + r);
+      bottom = max(bottom, node.y + r);
+    }
+    const s = min((THUMBNAIL_WIDTH - 8) / (right - left), (THUMBNAIL_HEIGHT - 8) / (bottom - top), 1);
+    const toX = x => (x - (left + right) / 2) * s + THUMBNAIL_WIDTH / 2;
+    const toY = y => (y - (top + bottom) / 2) * s + THUMBNAIL_HEIGHT / 2;
+
+    graphics.stroke(theme.edge);
+    for (const edge of edges) graphics.line(toX(edge.a.x), toY(edge.a.y), toX(edge.b.x), toY(edge.b.y));
+    graphics.stroke(theme.nodeStroke);
+    for (const node of nodes) {
+      const x = toX(node.x);
+      const y = toY(node.y);
+      const half = max(3, node.getRadius() * 2 * s) / 2;
+      graphics.fill(node.getColor());
+      if (graphStyle.nodeShape === 'Square') graphics.rect(x - half, y - half, half * 2, half * 2);
+      else if (graphStyle.nodeShape === 'Diamond') graphics.quad(x, y - half, x + half, y, x, y + half, x - half, y);
+      else graphics.circle(x, y, half * 2);
+    }
+  }
+
+  const thumbnail = graphics.elt.toDataURL('image/png');
+  graphics.remove();
+  return thumbnail;
+}
+// -------------------------------
+// FILE FORMATS
+// -------------------------------
+// Other formats are read into a common shape, { directed, nodes: [{ key, label,
+// x, y, color, attributes }], edges: [{ from, to, weight, label }] } keyed by the
+// names used in the file, and then turned into a snapshot.
+function getImportFormat(fileName) {
+  const extension = fileName.split('.').pop().toLowerCase();
+  if (extension === 'gv') return 'DOT';
+  return Object.keys(FILE_FORMATS).find(format => FILE_FORMATS[format] === extension);
+}
+function readFileText(file) {
+  const data = file.data;
+  if (typeof data === 'string' && data.startsWith('data:')) {
+    // Files the browser doesn't know as text arrive as base64 data URLs
+    const bytes = Uint8Array.from(atob(data.slice(data.indexOf(',') + 1)), c => c.charCodeAt(0));
+    return new TextDecoder().decode(bytes);
+  }
+  if (typeof data === 'string') return data;
+  if (data && typeof data.serialize === 'function') return data.serialize(); // p5.XML
+  return JSON.stringify(data); // p5 already parsed the JSON
+}
+function importGraph(format, textValue) {
+  switch (format) {
+    case 'DOT': return buildImportedSnapshot(parseDot(textValue));
+    case 'GraphML': return buildImportedSnapshot(parseGraphML(textValue));
+    case 'GEXF': return buildImportedSnapshot(parseGEXF(textValue));
+    case 'CSV': return buildImportedSnapshot(parseCSV(textValue));
+    case 'TGF': return buildImportedSnapshot(parseTGF(textValue));
+  }
+  throw new Error(`Unknown format "${format}".`);
+}
+function exportGraph(format) {
+  switch (format) {
+    case 'DOT': return exportDot();
+    case 'GraphML': return exportGraphML();
+    case 'GEXF': return exportGEXF();
+    case 'CSV': return exportCSV();
+    case 'TGF': return exportTGF();
+  }
+  throw new Error(`Unknown format "${format}".`);
+}
+function buildImportedSnapshot(parsed) {
+  const ids = new Map(parsed.nodes.map((node, i) => [node.key, i + 1]));
+  const snapshotEdges = [];
+  const seen = new Set();
+  let skipped = 0;
+  for (const edge of parsed.edges) {
+    const from = ids.get(edge.from);
+    const to = ids.get(edge.to);
+    if (from === undefined || to === undefined) {
+      throw new Error(`Edge ${edge.from} → ${edge.to} uses a node that isn't in the file.`);
+    }
+    const weight = edge.weight === undefined ? 1 : Number(edge.weight);
+    if (!Number.isFinite(weight)) throw new Error(`Edge ${edge.from} → ${edge.to} has a non-numeric weight "${edge.weight}".`);
+
+    // Self-loops aren't supported and parallel edges collapse into one
+    const key = parsed.directed || from < to ? from + ">" + to : to + ">" + from;
+    if (from === to || seen.has(key)) {
+      skipped++;
+      continue;
+    }
+    seen.add(key);
+    snapshotEdges.push({ from, to, weight, label: edge.label === undefined ? "" : String(edge.label) });
+  }
+
+  const positions = placeImportedNodes(parsed.nodes, snapshotEdges);
+  const snapshotNodes = parsed.nodes.map((node, i) => {
+    const nData = {
+      id: i + 1,
+      label: node.label === undefined || node.label === "" ? String(node.key) : String(node.label),
+      x: positions[i].x,
+      y: positions[i].y,
+      tx: positions[i].x,
+      ty: positions[i].y,
+      attributes: { ...node.attributes },
+    };
+    // The color picker only understands #rrggbb
+    if (/^#[0-9a-f]{6}$/i.test(node.color)) nData.color = node.color.toLowerCase();
+    return nData;
+  });
+
+  return {
+    snapshot: {
+      directed: parsed.directed,
+      weighted: parsed.edges.some(edge => edge.weight !== undefined),
+      nodes: snapshotNodes,
+      edges: snapshotEdges,
+    },
+    skipped,
+  };
+}
+function placeImportedNodes(graphNodes, snapshotEdges) {
+  // Imports open in the home view, so that's where they go
+  const homeCenter = { x: width / 2, y: height / 2 };
+  const hasPosition = node => Number.isFinite(node.x) && Number.isFinite(node.y);
+
+  if (graphNodes.every(hasPosition)) {
+    // Keep the stored coordinates, unless the whole drawing would be off-screen
+    const positions = graphNodes.map(node => ({ x: node.x, y: node.y }));
+    const isVisible = positions.some(p => p.x >= 0 && p.x <= width && p.y >= 0 && p.y <= height);
+    if (!isVisible) moveCentroidTo(positions, homeCenter);
+    return positions;
+  }
+
+  const known = graphNodes.map(node => hasPosition(node) ? { x: node.x, y: node.y } : null);
+  const links = snapshotEdges.map(edge => [edge.from - 1, edge.to - 1]);
+  const positions = layoutNodes(known, links, homeCenter);
+  moveCentroidTo(positions, homeCenter);
+  return positions;
+}
+function layoutNodes(known, links, center) {
+  // Positions for every node, where known[i] is null for the ones that have none
+  const k = layoutLengthSlider.value();
+  const count = known.length;
+  if (count > IMPORT_LAYOUT_LIMIT) {
+    // Too big to lay out at once, a square grid at least keeps nodes apart
+    const columns = ceil(sqrt(count));
+    return known.map((p, i) => ({ x: (i % columns) * k, y: floor(i / columns) * k }));
+  }
+  // Nodes without coordinates start in a ring, then the force layout untangles them
+  const radius = max(100, count * 12);
+  const positions = known.map((p, i) => p ? { ...p } : {
+    x: center.x + radius * cos(TWO_PI * i / count),
+    y: center.y + radius * sin(TWO_PI * i / count),
+  });
+  settleLayout(positions, links, k, layoutStrengthSlider.value());
+  return positions;
+}
+function formatCoordinate(value) {
+  return Number(value.toFixed(2));
+}
+function getAttributeNames() {
+  return [...new Set(nodes.flatMap(node => Object.keys(node.attributes)))];
+}
+
+// -- DOT (Graphviz) --
+// Graphviz y grows upwards, so y is flipped both ways; "!" pins a position.
+function exportDot() {
+  const lines = [`${graph.directed ? "digraph" : "graph"} TinyGraph {`];
+  for (const node of nodes) {
+    const attributes = [
+      `label=${quoteDot(node.label)}`,
+      `pos="${formatCoordinate(node.x)},${formatCoordinate(-node.y)}!"`,
+      `color="${node.color}"`,
+      ...Object.entries(node.attributes).map(([name, value]) => `${quoteDot(name)}=${quoteDot(value)}`),
+    ];
+    lines.push(`  ${node.id} [${attributes.join(", ")}];`);
+  }
+  for (const edge of edges) {
+    const attributes = [];
+    if (graph.weighted) attributes.push(`weight=${edge.weight}`);
+    if (edge.label) attributes.push(`label=${quoteDot(edge.label)}`);
+    const list = attributes.length > 0 ? ` [${attributes.join(", ")}]` : "";
+    lines.push(`  ${edge.a.id} ${graph.directed ? "->" : "--"} ${edge.b.id}${list};`);
+  }
+  lines.push("}");
+  return lines.join("\n");
+}
+function quoteDot(value) {
+  return '"' + String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n") + '"';
+}
+function tokenizeDot(textValue) {
+  const tokens = [];
+  const idPattern = /-?(?:\.\d+|\d+(?:\.\d*)?)|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*/y;
+  let i = 0;
+  while (i < textValue.length) {
+    const ch = textValue[i];
+    const pair = textValue.substr(i, 2);
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (pair === "//" || (ch === "#" && (i === 0 || textValue[i - 1] === "\n"))) {
+      // Line comments, and preprocessor output lines
+      const end = textValue.indexOf("\n", i);
+      i = end < 0 ? textValue.length : end;
+    } else if (pair === "/*") {
+      const end = textValue.indexOf("*/", i + 2);
+      if (end < 0) throw new Error("Unclosed /* comment.");
+      i = end + 2;
+    } else if (pair === "->" || pair === "--") {
+      tokens.push({ type: 'edgeop', value: pair, at: i });
+      i += 2;
+    } else if ("{}[];,=:".includes(ch)) {
+      tokens.push({ type: 'punct', value: ch, at: i });
+      i++;
+    } else if (ch === '"') {
+      let end = i + 1;
+      while (end < textValue.length && textValue[end] !== '"') end += textValue[end] === "\\" ? 2 : 1;
+      if (end >= textValue.length) throw new Error("Unclosed string.");
+      const value = textValue.slice(i + 1, end)
+        .replace(/\\(\r?\n|["\\n])/g, (match, escaped) => escaped === "n" ? "\n" : escaped.trim());
+      tokens.push({ type: 'id', value, quoted: true, at: i });
+      i = end + 1;
+    } else if (ch === "<") {
+      // HTML-like labels nest angle brackets; keep their markup as the text
+      let depth = 0;
+      let end = i;
+      do {
+        if (textValue[end] === "<") depth++;
+        if (textValue[end] === ">") depth--;
+        end++;
+      } while (depth > 0 && end < textValue.length);
+      if (depth > 0) throw new Error("Unclosed <...> label.");
+      tokens.push({ type: 'id', value: textValue.slice(i + 1, end - 1), quoted: true, at: i });
+      i = end;
+    } else {
+      idPattern.lastIndex = i;
+      const match = idPattern.exec(textValue);
+      if (!match) {
+        throw new Error(`Line ${textValue.slice(0, i).split("\n").length}: unexpected "${ch}".`);
+      }
+      tokens.push({ type: 'id', value: match[0], at: i });
+      i += match[0].length;
+    }
+  }
+  return tokens;
+}
+function parseDot(textValue) {
+  const tokens = tokenizeDot(textValue);
+  const parsed = { directed: false, nodes: [], edges: [] };
+  const byKey = new Map();
+  const scopes = []; // nodes mentioned inside each open subgraph
+  let i = 0;
+
+  const fail = message => {
+    const where = tokens[i] ? `Line ${textValue.slice(0, tokens[i].at).split("\n").length}` : "End of file";
+    throw new Error(`${where}: ${message}`);
+  };
+  const isPunct = value => tokens[i] !== undefined && tokens[i].type === 'punct' && tokens[i].value === value;
+  const isKeyword = word => tokens[i] !== undefined && tokens[i].type === 'id' && !tokens[i].quoted &&
+    tokens[i].value.toLowerCase() === word;
+  const expect = value => {
+    if (!isPunct(value)) fail(`expected "${value}".`);
+    i++;
+  };
+  const readId = () => {
+    if (!tokens[i] || tokens[i].type !== 'id') fail("expected a name.");
+    return tokens[i++].value;
+  };
+  const getNode = key => {
+    let node = byKey.get(key);
+    if (!node) {
+      node = { key, attributes: {} };
+      byKey.set(key, node);
+      parsed.nodes.push(node);
+    }
+    for (const scope of scopes) scope.add(node);
+    return node;
+  };
+  const readAttributes = () => {
+    const attributes = {};
+    while (isPunct("[")) {
+      i++;
+      while (!isPunct("]")) {
+        const name = readId();
+        let value = "true";
+        if (isPunct("=")) {
+          i++;
+          value = readId();
+        }
+        attributes[name] = value;
+        if (isPunct(",") || isPunct(";")) i++;
+      }
+      i++;
+    }
+    return attributes;
+  };
+  const readOperand = () => {
+    // A subgraph as an edge end stands for all of its nodes
+    if (isKeyword("subgraph") || isPunct("{")) return readSubgraph();
+    const node = getNode(readId());
+    // Ports only say where on the node an edge attaches
+    while (isPunct(":")) {
+      i++;
+      readId();
+    }
+    return [node];
+  };
+  const readSubgraph = () => {
+    if (isKeyword("subgraph")) {
+      i++;
+      if (tokens[i] && tokens[i].type === 'id') i++;
+    }
+    const scope = new Set();
+    scopes.push(scope);
+    expect("{");
+    readStatements();
+    expect("}");
+    scopes.pop();
+    return [...scope];
+  };
+  const readStatement = () => {
+    // Default attributes (graph, node, edge [...]) and graph settings (a = b) don't add structure
+    if (isKeyword("graph") || isKeyword("node") || isKeyword("edge")) {
+      i++;
+      readAttributes();
+      return;
+    }
+    if (tokens[i].type === 'id' && tokens[i + 1] && tokens[i + 1].value === "=") {
+      i += 2;
+      readId();
+      return;
+    }
+
+    const isNodeStatement = tokens[i].type === 'id';
+    const operands = [readOperand()];
+    while (tokens[i] && tokens[i].type === 'edgeop') {
+      i++;
+      operands.push(readOperand());
+    }
+    const attributes = readAttributes();
+
+    if (operands.length === 1) {
+      if (isNodeStatement) applyDotNodeAttributes(operands[0][0], attributes);
+      return;
+    }
+    for (let k = 1; k < operands.length; k++) {
+      for (const from of operands[k - 1]) {
+        for (const to of operands[k]) {
+          parsed.edges.push({ from: from.key, to: to.key, weight: attributes.weight, label: attributes.label });
+        }
+      }
+    }
+  };
+  const readStatements = () => {
+    while (tokens[i] && !isPunct("}")) {
+      readStatement();
+      if (isPunct(";") || isPunct(",")) i++;
+    }
+  };
+
+  if (isKeyword("strict")) i++;
+  if (isKeyword("digraph")) parsed.directed = true;
+  else if (!isKeyword("graph")) fail('expected "graph" or "digraph".');
+  i++;
+  if (tokens[i] && tokens[i].type === 'id') i++; // graph name
+  expect("{");
+  readStatements();
+  expect("}");
+  return parsed;
+}
+function applyDotNodeAttributes(node, attributes) {
+  for (const [name, value] of Object.entries(attributes)) {
+    if (name === "label") {
+      if (value !== "\\N") node.label = value; // \N means "the node name"
+    } else if (name === "pos") {
+      const match = /^\s*([-+.\de]+)\s*,\s*([-+.\de]+)/i.exec(value);
+      if (match) {
+        node.x = Number(match[1]);
+        node.y = -Number(match[2]);
+      }
+    } else if (name === "color") {
+      node.color = value;
+    } else {
+      node.attributes[name] = value;
+    }
+  }
+}
+
+// -- GraphML --
+function exportGraphML() {
+  const attributeNames = getAttributeNames();
+  const data = (key, value) => `<data key="${key}">${escapeXml(value)}</data>`;
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<graphml xmlns="http://graphml.graphdrawing.org/xmlns">',
+    '  <key id="label" for="node" attr.name="label" attr.type="string"/>',
+    '  <key id="x" for="node" attr.name="x" attr.type="double"/>',
+    '  <key id="y" for="node" attr.name="y" attr.type="double"/>',
+    '  <key id="color" for="node" attr.name="color" attr.type="string"/>',
+    ...attributeNames.map((name, i) => `  <key id="a${i}" for="node" attr.name="${escapeXml(name)}" attr.type="string"/>`),
+    '  <key id="weight" for="edge" attr.name="weight" attr.type="double"/>',
+    '  <key id="edgelabel" for="edge" attr.name="label" attr.type="string"/>',
+    `  <graph id="G" edgedefault="${graph.directed ? "directed" : "undirected"}">`,
+  ];
+  for (const node of nodes) {
+    lines.push(`    <node id="n${node.id}">`);
+    lines.push(`      ${data("label", node.label)}`);
+    lines.push(`      ${data("x", formatCoordinate(node.x))}`);
+    lines.push(`      ${data("y", formatCoordinate(node.y))}`);
+    lines.push(`      ${data("color", node.color)}`);
+    attributeNames.forEach((name, i) => {
+      if (name in node.attributes) lines.push(`      ${data("a" + i, node.attributes[name])}`);
+    });
+    lines.push("    </node>");
+  }
+  for (const edge of edges) {
+    const content = (graph.weighted ? data("weight", edge.weight) : "") + (edge.label ? data("edgelabel", edge.label) : "");
+    lines.push(`    <edge source="n${edge.a.id}" target="n${edge.b.id}">${content}</edge>`);
+  }
+  lines.push("  </graph>", "</graphml>");
+  return lines.join("\n");
+}
+function parseGraphML(textValue) {
+  const doc = parseXml(textValue);
+  const graphElement = doc.getElementsByTagName("graph")[0];
+  if (!graphElement) throw new Error("No <graph> element found.");
+
+  // <data> elements refer to <key> declarations, which hold the readable name
+  const keyNames = new Map();
+  for (const key of Array.from(doc.getElementsByTagName("key"))) {
+    keyNames.set(key.getAttribute("id"), key.getAttribute("attr.name") || key.getAttribute("id"));
+  }
+  const readData = element => {
+    const data = {};
+    for (const child of getChildElements(element, "data")) {
+      // Skip tool-specific graphics markup (e.g. yEd's), it's read separately
+      if (getChildElements(child).length > 0) continue;
+      const key = child.getAttribute("key");
+      data[keyNames.get(key) || key] = child.textContent.trim();
+    }
+    return data;
+  };
+
+  // GraphML edges are directed unless the graph says otherwise
+  const parsed = { directed: graphElement.getAttribute("edgedefault") !== "undirected", nodes: [], edges: [] };
+  for (const element of Array.from(graphElement.getElementsByTagName("node"))) {
+    const node = { key: element.getAttribute("id"), attributes: {} };
+    for (const [name, value] of Object.entries(readData(element))) {
+      switch (name.toLowerCase()) {
+        case "label": case "name": node.label = value; break;
+        case "x": node.x = Number(value); break;
+        case "y": node.y = Number(value); break;
+        case "color": node.color = value; break;
+        default: node.attributes[name] = value;
+      }
+    }
+
+    // yEd keeps positions and labels in its own graphics elements
+    const geometry = element.getElementsByTagNameNS("*", "Geometry")[0];
+    if (geometry && node.x === undefined) {
+      node.x = Number(geometry.getAttribute("x")) + Number(geometry.getAttribute("width")) / 2;
+      node.y = Number(geometry.getAttribute("y")) + Number(geometry.getAttribute("height")) / 2;
+    }
+    const nodeLabel = element.getElementsByTagNameNS("*", "NodeLabel")[0];
+    if (nodeLabel && node.label === undefined) node.label = nodeLabel.textContent.trim();
+    parsed.nodes.push(node);
+  }
+  for (const element of Array.from(graphElement.getElementsByTagName("edge"))) {
+    const edge = { from: element.getAttribute("source"), to: element.getAttribute("target") };
+    for (const [name, value] of Object.entries(readData(element))) {
+      if (name.toLowerCase() === "weight") edge.weight = value;
+      if (name.toLowerCase() === "label") edge.label = value;
+    }
+    parsed.edges.push(edge);
+  }
+  return parsed;
+}
+
+// -- GEXF (Gephi) --
+// Like Graphviz, Gephi's y axis points up.
+function exportGEXF() {
+  const attributeNames = getAttributeNames();
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gexf xmlns="http://www.gexf.net/1.2draft" xmlns:viz="http://www.gexf.net/1.2draft/viz" version="1.2">',
+    `  <graph mode="static" defaultedgetype="${graph.directed ? "directed" : "undirected"}">`,
+  ];
+  if (attributeNames.length > 0) {
+    lines.push('    <attributes class="node">');
+    attributeNames.forEach((name, i) => lines.push(`      <attribute id="${i}" title="${escapeXml(name)}" type="string"/>`));
+    lines.push("    </attributes>");
+  }
+  lines.push("    <nodes>");
+  for (const node of nodes) {
+    const c = color(node.color);
+    lines.push(`      <node id="${node.id}" label="${escapeXml(node.label)}">`);
+    const values = attributeNames
+      .map((name, i) => name in node.attributes ? `<attvalue for="${i}" value="${escapeXml(node.attributes[name])}"/>` : "")
+      .join("");
+    if (values) lines.push(`        <attvalues>${values}</attvalues>`);
+    lines.push(`        <viz:color r="${red(c)}" g="${green(c)}" b="${blue(c)}"/>`);
+    lines.push(`        <viz:position x="${formatCoordinate(node.x)}" y="${formatCoordinate(-node.y)}" z="0"/>`);
+    lines.push("      </node>");
+  }
+  lines.push("    </nodes>", "    <edges>");
+  edges.forEach((edge, i) => {
+    const weight = graph.weighted ? ` weight="${edge.weight}"` : "";
+    const label = edge.label ? ` label="${escapeXml(edge.label)}"` : "";
+    lines.push(`      <edge id="${i}" source="${edge.a.id}" target="${edge.b.id}"${weight}${label}/>`);
+  });
+  lines.push("    </edges>", "  </graph>", "</gexf>");
+  return lines.join("\n");
+}
+function parseGEXF(textValue) {
+  const doc = parseXml(textValue);
+  const graphElement = doc.getElementsByTagName("graph")[0];
+  if (!graphElement) throw new Error("No <graph> element found.");
+
+  const titles = new Map();
+  for (const attribute of Array.from(doc.getElementsByTagName("attribute"))) {
+    if (attribute.parentNode.getAttribute("class") !== "node") continue;
+    titles.set(attribute.getAttribute("id"), attribute.getAttribute("title") || attribute.getAttribute("id"));
+  }
+
+  // GEXF edges are undirected unless the graph says otherwise
+  const parsed = { directed: graphElement.getAttribute("defaultedgetype") === "directed", nodes: [], edges: [] };
+  for (const element of Array.from(graphElement.getElementsByTagName("node"))) {
+    const node = { key: element.getAttribute("id"), label: element.getAttribute("label") || undefined, attributes: {} };
+    for (const attvalue of Array.from(element.getElementsByTagName("attvalue"))) {
+      const id = attvalue.getAttribute("for") || attvalue.getAttribute("id");
+      node.attributes[titles.get(id) || id] = attvalue.getAttribute("value");
+    }
+    const position = element.getElementsByTagNameNS("*", "position")[0];
+    if (position) {
+      node.x = Number(position.getAttribute("x"));
+      node.y = -Number(position.getAttribute("y"));
+    }
+    const vizColor = element.getElementsByTagNameNS("*", "color")[0];
+    if (vizColor) {
+      node.color = "#" + ["r", "g", "b"]
+        .map(channel => Number(vizColor.getAttribute(channel)).toString(16).padStart(2, "0"))
+        .join("");
+    }
+    parsed.nodes.push(node);
+  }
+  for (const element of Array.from(graphElement.getElementsByTagName("edge"))) {
+    parsed.edges.push({
+      from: element.getAttribute("source"),
+      to: element.getAttribute("target"),
+      weight: element.getAttribute("weight") || undefined,
+      label: element.getAttribute("label") || undefined,
+    });
+  }
+  return parsed;
+}
+function parseXml(textValue) {
+  const doc = new DOMParser().parseFromString(textValue, "application/xml");
+  const error = doc.getElementsByTagName("parsererror")[0];
+  if (error) throw new Error(`Invalid XML. ${error.textContent.trim().split("\n")[0]}`);
+  return doc;
+}
+function getChildElements(element, name) {
+  return Array.from(element.childNodes)
+    .filter(child => child.nodeType === 1 && (name === undefined || child.localName === name));
+}
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// -- CSV edge list --
+// One "source,target[,weight][,label]" row per edge; isolated nodes get a row
+// with an empty target. Directions follow the current edge mode.
+function exportCSV() {
+  const hasLabels = edges.some(edge => edge.label);
+  const header = ["source", "target"];
+  if (graph.weighted) header.push("weight");
+  if (hasLabels) header.push("label");
+
+  const rows = [header];
+  for (const edge of edges) {
+    const row = [edge.a.id, edge.b.id];
+    if (graph.weighted) row.push(edge.weight);
+    if (hasLabels) row.push(edge.label);
+    rows.push(row);
+  }
+  for (const node of nodes) {
+    if (!edges.some(edge => edge.hasNode(node))) rows.push([node.id, ""]);
+  }
+  return rows.map(row => row.map(quoteCSV).join(",")).join("\n");
+}
+function quoteCSV(value) {
+  const text = String(value);
+  return /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+function parseCSV(textValue) {
+  // Spreadsheets in some locales separate with ";" and some tools with tabs
+  const firstLine = textValue.split("\n", 1)[0];
+  const delimiter = [",", ";", "\t"].reduce((best, d) => firstLine.split(d).length > firstLine.split(best).length ? d : best);
+  const rows = parseCSVRows(textValue, delimiter);
+  if (rows.length === 0) throw new Error("The file is empty.");
+
+  // Use the header row if there is one, otherwise the columns are source, target, weight, label
+  const header = rows[0].map(cell => cell.trim().toLowerCase());
+  const findColumn = (...names) => header.findIndex(cell => names.includes(cell));
+  const hasHeader = findColumn("source", "from") >= 0 && findColumn("target", "to") >= 0;
+  const columns = hasHeader
+    ? { source: findColumn("source", "from"), target: findColumn("target", "to"), weight: findColumn("weight"), label: findColumn("label") }
+    : { source: 0, target: 1, weight: 2, label: 3 };
+
+  const parsed = { directed: graph.directed, nodes: [], edges: [] };
+  const keys = new Set();
+  const addNode = key => {
+    if (keys.has(key)) return;
+    keys.add(key);
+    parsed.nodes.push({ key });
+  };
+  rows.slice(hasHeader ? 1 : 0).forEach((row, i) => {
+    const cell = column => column >= 0 && row[column] !== undefined ? row[column].trim() : "";
+    const source = cell(columns.source);
+    const target = cell(columns.target);
+    if (!source) throw new Error(`Row ${i + (hasHeader ? 2 : 1)}: missing source node.`);
+
+    addNode(source);
+    if (!target) return; // a lone source is an isolated node
+    addNode(target);
+    parsed.edges.push({
+      from: source,
+      to: target,
+      weight: cell(columns.weight) || undefined,
+      label: cell(columns.label) || undefined,
+    });
+  });
+  return parsed;
+}
+function parseCSVRows(textValue, delimiter) {
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let isQuoted = false;
+  const endRow = () => {
+    row.push(cell);
+    if (row.some(value => value.trim() !== "")) rows.push(row);
+    row = [];
+    cell = "";
+  };
+  for (let i = 0; i < textValue.length; i++) {
+    const ch = textValue[i];
+    if (isQuoted) {
+      if (ch !== '"') cell += ch;
+      else if (textValue[i + 1] === '"') cell += textValue[i++];
+      else isQuoted = false;
+    } else if (ch === '"') {
+      isQuoted = true;
+    } else if (ch === delimiter) {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n") {
+      endRow();
+    } else if (ch !== "\r") {
+      cell += ch;
+    }
+  }
+  endRow();
+  return rows;
+}
+
+// -- TGF (Trivial Graph Format) --
+// Nodes ("id label"), a "#" line, then edges ("from to text"). TGF edges only
+// have free text, so a weight is written as the first word of it.
+function exportTGF() {
+  const lines = nodes.map(node => `${node.id} ${node.label}`);
+  lines.push("#");
+  for (const edge of edges) {
+    const text = [graph.weighted ? edge.weight : "", edge.label].filter(part => part !== "").join(" ");
+    lines.push(`${edge.a.id} ${edge.b.id}${text ? " " + text : ""}`);
+  }
+  return lines.join("\n");
+}
+function parseTGF(textValue) {
+  const parsed = { directed: graph.directed, nodes: [], edges: [] };
+  const keys = new Set();
+  let isEdgeSection = false;
+  textValue.split("\n").forEach((content, i) => {
+    const line = content.trim();
+    if (line === "") return;
+    if (line.startsWith("#")) {
+      isEdgeSection = true;
+      return;
+    }
+
+    if (!isEdgeSection) {
+      const [, key, label] = /^(\S+)\s*(.*)$/.exec(line);
+      if (keys.has(key)) throw new Error(`Line ${i + 1}: node "${key}" is declared twice.`);
+      keys.add(key);
+      parsed.nodes.push({ key, label: label || undefined });
+      return;
+    }
+
+    const match = /^(\S+)\s+(\S+)\s*(.*)$/.exec(line);
+    if (!match) throw new Error(`Line ${i + 1}: expected "from to [text]".`);
+    const [, from, to, text] = match;
+    for (const key of [from, to]) {
+      if (!keys.has(key)) throw new Error(`Line ${i + 1}: node "${key}" isn't declared above the "#" line.`);
+    }
+    const weighted = /^(-?\d*\.?\d+)(?:\s+(.*))?$/.exec(text);
+    parsed.edges.push({
+      from,
+      to,
+      weight: weighted ? weighted[1] : undefined,
+      label: (weighted ? weighted[2] : text) || undefined,
+    });
+  });
+  return parsed;
+}
+// -------------------------------
+// IMAGE EXPORT
+// -------------------------------
+// Both exports draw the whole graph (except collapsed subtrees in tree mode), framed
+// by its bounding box plus the margin, whatever the camera is looking at. The PNG is
+// the SVG rasterized at a scale.
+function getDrawingBounds() {
+  let left = Infinity;
+  let top = Infinity;
+  let right = -Infinity;
+  let bottom = -Infinity;
+  const include = (x, y, halfWidth, halfHeight) => {
+    left = min(left, x - halfWidth);
+    top = min(top, y - halfHeight);
+    right = max(right, x + halfWidth);
+    bottom = max(bottom, y + halfHeight);
+  };
+
+  push();
+  textSize(12);
+  for (const node of nodes) {
+    if (isHiddenInTree(node)) continue;
+    const r = node.getRadius();
+    include(node.x, node.y, r, r);
+    include(node.x, node.y + r * 2, textWidth(node.label) / 2, 8);
+  }
+  for (const edge of edges) {
+    const caption = edge.getCaption();
+    if (!caption || isEdgeHiddenInTree(edge)) continue;
+    const point = edge.getLabelPoint(edge.getSegment());
+    include(point.x, point.y, textWidth(caption) / 2, 8);
+  }
+  pop();
+  return { left, top, right, bottom };
+}
+function buildSvg(scale = 1) {
+  updatePairedEdges();
+  updateStyles();
+  const margin = imageMarginSlider.value();
+  const bounds = getDrawingBounds();
+  const left = bounds.left - margin;
+  const top = bounds.top - margin;
+  const w = bounds.right - bounds.left + margin * 2;
+  const h = bounds.bottom - bounds.top + margin * 2;
+  const pixelWidth = ceil(w * scale);
+  const pixelHeight = ceil(h * scale);
+  const f = formatCoordinate;
+  const textAttributes = 'font-family="sans-serif" font-size="12" text-anchor="middle" dominant-baseline="central"';
+  const theme = getTheme();
+  const dash = graphStyle.edgeLine === 'Dashed' ? ' stroke-dasharray="8 6"' : "";
+
+  const lines = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pixelWidth}" height="${pixelHeight}" viewBox="${f(left)} ${f(top)} ${f(w)} ${f(h)}">`,
+  ];
+  if (!isImageTransparent) {
+    lines.push(`  <rect x="${f(left)}" y="${f(top)}" width="${f(w)}" height="${f(h)}" fill="${theme.background}"/>`);
+  }
+  for (const edge of edges) {
+    if (isEdgeHiddenInTree(edge)) continue;
+    const segment = edge.getSegment();
+    const { x1, y1, x2, y2, ux, uy } = segment;
+    lines.push(`  <line x1="${f(x1)}" y1="${f(y1)}" x2="${f(x2)}" y2="${f(y2)}" stroke="${theme.edge}" stroke-width="${f(edge.getWidth())}"${dash}/>`);
+    if (graph.directed) {
+      const points = edge.getArrowPoints(x2, y2, ux, uy).map(p => `${f(p.x)},${f(p.y)}`).join(" ");
+      lines.push(`  <polygon points="${points}" fill="${theme.edge}"/>`);
+    }
+    const caption = edge.getCaption();
+    if (caption) {
+      const point = edge.getLabelPoint(segment);
+      lines.push(`  <text x="${f(point.x)}" y="${f(point.y)}" ${textAttributes} fill="${theme.edgeLabel}">${escapeXml(caption)}</text>`);
+    }
+  }
+  for (const node of nodes) {
+    if (isHiddenInTree(node)) continue;
+    const r = node.getRadius();
+    const paint = `fill="${node.getColor()}" stroke="${theme.nodeStroke}" stroke-width="1"`;
+    if (graphStyle.nodeShape === 'Square') {
+      lines.push(`  <rect x="${f(node.x - r)}" y="${f(node.y - r)}" width="${f(r * 2)}" height="${f(r * 2)}" ${paint}/>`);
+    } else if (graphStyle.nodeShape === 'Diamond') {
+      const points = [[0, -r], [r, 0], [0, r], [-r, 0]].map(([dx, dy]) => `${f(node.x + dx)},${f(node.y + dy)}`).join(" ");
+      lines.push(`  <polygon points="${points}" ${paint}/>`);
+    } else {
+      lines.push(`  <circle cx="${f(node.x)}" cy="${f(node.y)}" r="${f(r)}" ${paint}/>`);
+    }
+    lines.push(`  <text x="${f(node.x)}" y="${f(node.y + r * 2)}" ${textAttributes} fill="${theme.label}">${escapeXml(node.label)}</text>`);
+  }
+  lines.push("</svg>");
+  return { svg: lines.join("\n"), pixelWidth, pixelHeight };
+}
+function exportSvg() {
+  if (nodes.length === 0) {
+    createToast("Add some nodes to export first.");
+    return;
+  }
+  saveStrings(buildSvg().svg.split("\n"), 'my-tiny-graph', 'svg');
+  createToast("Graph saved as my-tiny-graph.svg");
+}
+function exportPng() {
+  if (nodes.length === 0) {
+    createToast("Add some nodes to export first.");
+    return;
+  }
+
+  // Browsers refuse canvases past a certain size, so big graphs get a smaller scale
+  let scale = parseFloat(imageScaleSelect.value());
+  const size = buildSvg(1);
+  scale = min(scale, PNG_MAX_SIDE / max(size.pixelWidth, size.pixelHeight),
+    sqrt(PNG_MAX_PIXELS / (size.pixelWidth * size.pixelHeight)));
+
+  const { svg, pixelWidth, pixelHeight } = buildSvg(scale);
+  loadImage('data:image/svg+xml;charset=utf-8,' + encodeURIComponent(svg), img => {
+    const graphics = createGraphics(pixelWidth, pixelHeight);
+    graphics.pixelDensity(1);
+    graphics.image(img, 0, 0, pixelWidth, pixelHeight);
+    save(graphics, 'my-tiny-graph.png');
+    graphics.remove();
+    createToast(`Graph saved as my-tiny-graph.png (${pixelWidth}×${pixelHeight})`);
+  }, () => createToast("Error: Could not render the PNG."));
+}
+// -------------------------------
+// GRAPH REPRESENTATIONS
+// -------------------------------
+// Text formats use node ids. When parsing, names that are all positive integers
+// are ids: the nodes with those ids stay, unknown ids make new nodes. Any other
+// names become the labels of the nodes in order. Matrix rows are the nodes in order.
+function formatRepresentation(format) {
+  switch (format) {
+    case 'Adjacency list': return formatAdjacencyList();
+    case 'Adjacency matrix': return formatAdjacencyMatrix();
+    case 'Edge list': return formatEdgeList();
+    case 'Incidence matrix': return formatIncidenceMatrix();
+  }
+  return "";
+}
+function formatAdjacencyList() {
+  const lists = new Map(nodes.map(node => [node, []]));
+  for (const edge of edges) {
+    lists.get(edge.a).push(graph.weighted ? `${edge.b.id}(${edge.weight})` : edge.b.id);
+    if (!graph.directed) lists.get(edge.b).push(graph.weighted ? `${edge.a.id}(${edge.weight})` : edge.a.id);
+  }
+  return nodes.map(node => {
+    const neighbours = lists.get(node);
+    return `${node.id}:` + (neighbours.length ? " " + neighbours.join(" ") : "");
+  }).join("\n");
+}
+function formatAdjacencyMatrix() {
+  if (nodes.length > MATRIX_VIEW_LIMIT) return `# Too many nodes (${nodes.length}) for a matrix view.`;
+  const matrix = nodes.map(() => nodes.map(() => 0));
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  for (const edge of edges) {
+    const i = index.get(edge.a);
+    const j = index.get(edge.b);
+    const value = graph.weighted ? edge.weight : 1;
+    matrix[i][j] = value;
+    if (!graph.directed) matrix[j][i] = value;
+  }
+  const zeros = graph.weighted ? edges.filter(edge => edge.weight === 0).length : 0;
+  const note = zeros ? `# ${zeros} edge(s) of weight 0 can't be shown, 0 means no edge.\n` : "";
+  return note + formatMatrix(matrix);
+}
+function formatEdgeList() {
+  return edges.map(edge => {
+    return graph.weighted ? `${edge.a.id} ${edge.b.id} ${edge.weight}` : `${edge.a.id} ${edge.b.id}`;
+  }).join("\n");
+}
+function formatIncidenceMatrix() {
+  if (nodes.length > MATRIX_VIEW_LIMIT) return `# Too many nodes (${nodes.length}) for a matrix view.`;
+  // Rows are nodes, columns are edges with their weight (1 when unweighted) at both
+  // ends. Directed edges are negative where they leave, positive where they enter.
+  const weightOf = edge => graph.weighted ? edge.weight : 1;
+  if (graph.directed && edges.some(edge => weightOf(edge) < 0)) {
+    return "# Directed edges with negative weights can't be shown, their direction would flip.";
+  }
+  const matrix = nodes.map(node => edges.map(edge => {
+    if (edge.a === node) return graph.directed ? -weightOf(edge) : weightOf(edge);
+    if (edge.b === node) return weightOf(edge);
+    return 0;
+  }));
+  return formatMatrix(matrix);
+}
+function formatMatrix(matrix) {
+  const cellWidth = max(1, ...matrix.flat().map(v => String(v).length));
+  return matrix.map(row => row.map(v => String(v).padStart(cellWidth)).join(" ")).join("\n");
+}
+function parseRepresentation(format, textValue) {
+  // Keep original line numbers for error messages, but skip blanks and # comments
+  const lines = textValue.split("\n")
+    .map((content, i) => ({ number: i + 1, content: content.trim() }))
+    .filter(line => line.content !== "" && !line.content.startsWith("#"));
+
+  switch (format) {
+    case 'Adjacency list': return parseAdjacencyList(lines);
+    case 'Adjacency matrix': return parseAdjacencyMatrix(lines);
+    case 'Edge list': return parseEdgeList(lines);
+    case 'Incidence matrix': return parseIncidenceMatrix(lines);
+  }
+  throw new Error(`Unknown format "${format}".`);
+}
+function parseAdjacencyList(lines) {
+  const names = [];
+  const pairs = [];
+  for (const line of lines) {
+    const colon = line.content.indexOf(":");
+    if (colon <= 0) throw new Error(`Line ${line.number}: expected "node: neighbour neighbour ...".`);
+
+    const from = line.content.slice(0, colon).trim();
+    names.push(from);
+    for (const token of splitTokens(line.content.slice(colon + 1))) {
+      // Neighbours may carry a weight, e.g. "3(2.5)"
+      const match = token.match(/^([^()]+)(?:\(([^()]*)\))?$/);
+      if (!match) throw new Error(`Line ${line.number}: can't read neighbour "${token}".`);
+      const weight = match[2] === undefined ? undefined : parseNumber(match[2], line.number);
+      names.push(match[1]);
+      pairs.push({ from, to: match[1], weight, line: line.number });
+    }
+  }
+  return buildParsedGraph(names, pairs, graph.directed);
+}
+function parseEdgeList(lines) {
+  const names = [];
+  const pairs = [];
+  for (const line of lines) {
+    const tokens = splitTokens(line.content);
+    if (tokens.length > 3) throw new Error(`Line ${line.number}: expected "from to [weight]".`);
+
+    // A single name on a line is an isolated node
+    names.push(...tokens.slice(0, 2));
+    if (tokens.length === 1) continue;
+
+    const weight = tokens.length === 3 ? parseNumber(tokens[2], line.number) : undefined;
+    pairs.push({ from: tokens[0], to: tokens[1], weight, line: line.number });
+  }
+  return buildParsedGraph(names, pairs, graph.directed);
+}
+function parseAdjacencyMatrix(lines) {
+  const matrix = parseMatrix(lines);
+  const size = matrix.length;
+  lines.forEach((line, i) => {
+    if (matrix[i].length !== size) {
+      throw new Error(`Line ${line.number}: expected ${size} values, adjacency matrices must be square.`);
+    }
+  });
+
+  const symmetric = matrix.every((row, i) => row.every((v, j) => v === matrix[j][i]));
+  const directed = graph.directed || !symmetric;
+  const names = matrix.map((_, i) => String(getRowId(i)));
+  const pairs = [];
+  for (let i = 0; i < size; i++) {
+    // An undirected matrix mirrors every edge, so only read its upper half
+    for (let j = directed ? 0 : i; j < size; j++) {
+      if (matrix[i][j] === 0) continue;
+      pairs.push({ from: names[i], to: names[j], weight: matrix[i][j], line: lines[i].number });
+    }
+  }
+  return buildParsedGraph(names, pairs, directed);
+}
+function parseIncidenceMatrix(lines) {
+  const matrix = parseMatrix(lines);
+  const columns = matrix.length ? matrix[0].length : 0;
+  lines.forEach((line, i) => {
+    if (matrix[i].length !== columns) throw new Error(`Line ${line.number}: expected ${columns} values.`);
+  });
+
+  const names = matrix.map((_, i) => String(getRowId(i)));
+  const pairs = [];
+  let directedColumns = 0;
+  for (let c = 0; c < columns; c++) {
+    const ends = [];
+    matrix.forEach((row, r) => { if (row[c] !== 0) ends.push(r); });
+    if (ends.length === 0) throw new Error(`Column ${c + 1}: an edge of weight 0 can't be shown in an incidence matrix.`);
+    if (ends.length !== 2) throw new Error(`Column ${c + 1}: an edge needs exactly two non-zero entries.`);
+
+    let [r1, r2] = ends;
+    let v1 = matrix[r1][c];
+    let v2 = matrix[r2][c];
+    if (abs(v1) !== abs(v2)) throw new Error(`Column ${c + 1}: both ends of an edge need the same magnitude.`);
+
+    // Opposite signs mark a directed edge, leaving the negative end; equal ones an
+    // undirected edge, which may have a negative weight
+    if (v1 !== v2) {
+      directedColumns++;
+      if (v1 > 0) [r1, r2] = [r2, r1];
+    }
+    pairs.push({ from: names[r1], to: names[r2], weight: v1 !== v2 ? abs(v1) : v1, line: lines[r1].number });
+  }
+  if (directedColumns > 0 && directedColumns < columns) {
+    throw new Error("Incidence matrix mixes directed (-w/w) and undirected (w/w) columns.");
+  }
+  // Without edges there's nothing to tell, the graph keeps its mode
+  return buildParsedGraph(names, pairs, columns === 0 ? graph.directed : directedColumns > 0);
+}
+function getRowId(row) {
+  // Rows past the last node become new nodes
+  return row < nodes.length ? nodes[row].id : graph.nextId + row - nodes.length;
+}
+function parseMatrix(lines) {
+  return lines.map(line => splitTokens(line.content).map(token => parseNumber(token, line.number)));
+}
+function splitTokens(content) {
+  return content.split(/[\s,;]+/).filter(token => token !== "");
+}
+function parseNumber(token, lineNumber) {
+  const value = Number(token);
+  if (token.trim() === "" || !isFinite(value)) {
+    throw new Error(`Line ${lineNumber}: "${token}" is not a number.`);
+  }
+  return value;
+}
+function buildParsedGraph(names, pairs, directed) {
+  const unique = [...new Set(names)];
+  const numeric = unique.every(name => /^[1-9]\d*$/.test(name));
+
+  // Numeric names are ids, other names become labels
+  const positions = new Map(unique.map((name, i) => [name, i]));
+  const indexOf = name => positions.get(name);
+  const ids = numeric ? unique.map(Number) : [];
+  const labels = numeric ? [] : unique;
+
+  const parsedEdges = [];
+  const seen = new Set();
+  for (const pair of pairs) {
+    const from = indexOf(pair.from);
+    const to = indexOf(pair.to);
+    if (from === to) throw new Error(`Line ${pair.line}: self-loops are not supported.`);
+
+    const key = directed || from < to ? from + ">" + to : to + ">" + from;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    parsedEdges.push({ from, to, weight: pair.weight });
+  }
+
+  const hasWeights = parsedEdges.some(e => e.weight !== undefined && e.weight !== 1);
+  return {
+    size: unique.length,
+    ids,
+    labels,
+    edges: parsedEdges,
+    directed,
+    weighted: graph.weighted || hasWeights,
+  };
+}
+function rebuildGraph(parsed) {
+  // Reuse existing nodes (and their positions) by id, or by index for labels.
+  // The rest are removed, new ones are laid out in a ring.
+  const reused = [];
+  for (let i = 0; i < parsed.size; i++) {
+    reused.push(parsed.ids.length ? graph.getNode(parsed.ids[i]) : nodes[i]);
+  }
+  const kept = new Set(reused);
+
+  // Keep labels and capacities of edges that survive the rebuild
+  const oldEdges = new Map(edges.map(edge => [edge.key(), edge]));
+  graph.removeEdges(edges.slice());
+  graph.removeNodes(nodes.filter(node => !kept.has(node)));
+  graph.setMode({ directed: parsed.directed, weighted: parsed.weighted });
+
+  const center = screenToWorld(width / 2, height / 2);
+  const radius = max(100, parsed.size * 12);
+  const rebuilt = reused.map((node, i) => {
+    if (!node) {
+      const angle = TWO_PI * i / parsed.size;
+      const id = parsed.ids.length ? parsed.ids[i] : graph.nextId;
+      node = graph.addNode(new Node(center.x + cos(angle) * radius, center.y + sin(angle) * radius, id));
+    }
+    if (parsed.labels[i] !== undefined) node.label = parsed.labels[i];
+    return node;
+  });
+  for (const e of parsed.edges) {
+    const edge = new Edge(rebuilt[e.from], rebuilt[e.to], e.weight === undefined ? 1 : e.weight);
+    const old = oldEdges.get(edge.key());
+    if (old) {
+      edge.label = old.label;
+      edge.capacity = old.capacity;
+    }
+    graph.addEdge(edge);
+  }
+
+  clearSelection();
+  draggedNode = null;
+  hoveredNode = null;
+  isConnectingNode = false;
+  updateUIState();
+  saveState("Rebuild graph from text");
+}
+// -------------------------------
+// ALGORITHM PLAYBACK
+// -------------------------------
+// Algorithms compute all their steps up front. Steps store node ids and edge keys
+// (not objects), so playback survives moving nodes around and undoing those moves.
+// A step only keeps the statuses that changed since the one before, so a long run
+// on a big graph stays small; the shown step is rebuilt by replaying them.
+function startPlayback(title, containerLabel, steps) {
+  connectModeOff();
+  playback = {
+    title,
+    containerLabel,
+    steps,
+    index: 0,
+    frame: null, // the replayed statuses, see getPlaybackStep
+    isPlaying: true,
+    lastStepAt: millis(),
+    signature: getStructureSignature(),
+    revision: graphRevision,
+  };
+  updateUIState();
+}
+function getPlaybackStep() {
+  // Replay forward from the step shown last, or from the start when going back
+  let frame = playback.frame;
+  if (!frame || frame.index > playback.index) {
+    frame = playback.frame = { index: -1, maps: { status: new Map(), edgeKinds: new Map() } };
+  }
+  while (frame.index < playback.index) {
+    for (const [name, key, value] of playback.steps[++frame.index].changes) {
+      if (!frame.maps[name]) frame.maps[name] = new Map();
+      if (value === undefined) frame.maps[name].delete(key);
+      else frame.maps[name].set(key, value);
+    }
+  }
+  return { ...playback.steps[playback.index], ...frame.maps };
+}
+function summarizeContainer(list, start, isStack, toText = node => node.id) {
+  // A queue from its front, or a stack from its top, and how many more entries there are
+  const count = list.length - start;
+  if (count <= CONTAINER_SHOWN) return list.slice(start).map(toText);
+  const more = `${count - CONTAINER_SHOWN} more`;
+  if (isStack) return [more, ...list.slice(-CONTAINER_SHOWN).map(toText)];
+  return [...list.slice(start, start + CONTAINER_SHOWN).map(toText), more];
+}
+function stopPlayback() {
+  if (!playback) return;
+  playback = null;
+  updateUIState();
+}
+function updatePlayback() {
+  if (!playback) return;
+
+  // Stop if nodes or edges changed underneath the precomputed steps
+  if (playback.revision !== graphRevision) {
+    playback.revision = graphRevision;
+    if (playback.signature !== getStructureSignature()) {
+      stopPlayback();
+      createToast("Graph changed, playback stopped.");
+      return;
+    }
+  }
+
+  if (!playback.isPlaying) return;
+  const interval = 1000 / playbackSpeedSlider.value();
+  if (millis() - playback.lastStepAt >= interval) {
+    stepPlaybackForward();
+  }
+}
+function togglePlayback() {
+  if (!playback) {
+    createToast("Start an algorithm first.");
+    return;
+  }
+  // Replay from the start if playback already reached the end
+  if (!playback.isPlaying && playback.index === playback.steps.length - 1) playback.index = 0;
+  playback.isPlaying = !playback.isPlaying;
+  playback.lastStepAt = millis();
+  updateUIState();
+}
+function stepPlaybackForward() {
+  if (!playback) return;
+  playback.lastStepAt = millis();
+  if (playback.index < playback.steps.length - 1) {
+    playback.index++;
+  }
+  if (playback.index === playback.steps.length - 1 && playback.isPlaying) {
+    playback.isPlaying = false;
+    updateUIState();
+  }
+}
+function stepPlaybackBack() {
+  if (!playback) return;
+  playback.isPlaying = false;
+  playback.index = max(0, playback.index - 1);
+  updateUIState();
+}
+// -------------------------------
+// TRAVERSAL VISUALIZER
+// -------------------------------
+function startTraversal(kind) {
+  if (!selectedNode) {
+    createToast("Please select a starting node first.");
+    return;
+  }
+
+  const containerLabel = kind === 'BFS' ? "Queue (front → back)" : "Stack (bottom → top)";
+  startPlayback(`${kind} from ${selectedNode.id}`, containerLabel, buildTraversalSteps(kind, selectedNode));
+}
+function buildTraversalSteps(kind, start) {
+  const steps = [];
+  const changes = [];                                  // since the last step
+  const status = new StepMap('status', changes);       // node id -> 'frontier' | 'visited'
+  const edgeKinds = new StepMap('edgeKinds', changes); // edge key -> 'tree' | 'nontree'
+  const container = [];        // queue (BFS) or stack (DFS) of nodes
+  let head = 0;                // front of the queue, dequeuing doesn't shift the array
+
+  const adjacency = getAdjacency();
+  const record = (current, message) => steps.push({
+    changes: changes.splice(0),
+    container: summarizeContainer(container, head, kind === 'DFS'),
+    current: current ? current.id : null,
+    message,
+  });
+
+  container.push(start);
+  status.set(start.id, 'frontier');
+  record(start, `${kind === 'BFS' ? "Enqueue" : "Push"} ${start.id}`);
+
+  if (kind === 'BFS') {
+    while (head < container.length) {
+      const u = container[head++];
+      status.set(u.id, 'visited');
+      record(u, `Dequeue ${u.id} and visit it`);
+
+      for (const { node: v, edge } of adjacency.get(u)) {
+        if (edgeKinds.has(edge.key())) continue; // the tree edge back to the parent
+        if (!status.has(v.id)) {
+          edgeKinds.set(edge.key(), 'tree');
+          status.set(v.id, 'frontier');
+          container.push(v);
+          record(u, `Discover ${v.id} from ${u.id}, enqueue it`);
+        } else {
+          edgeKinds.set(edge.key(), 'nontree');
+          record(u, `${u.id} → ${v.id}: already seen`);
+        }
+      }
+    }
+  } else {
+    // Iterative DFS that mirrors the recursive version: each frame remembers its next neighbour
+    const frames = [{ node: start, neighbours: adjacency.get(start), next: 0 }];
+    while (frames.length) {
+      const top = frames[frames.length - 1];
+      const u = top.node;
+
+      if (top.next < top.neighbours.length) {
+        const { node: v, edge } = top.neighbours[top.next++];
+        if (edgeKinds.has(edge.key())) continue;
+        if (!status.has(v.id)) {
+          edgeKinds.set(edge.key(), 'tree');
+          status.set(v.id, 'frontier');
+          container.push(v);
+          frames.push({ node: v, neighbours: adjacency.get(v), next: 0 });
+          record(v, `Discover ${v.id} from ${u.id}, push it`);
+        } else {
+          edgeKinds.set(edge.key(), 'nontree');
+          record(u, `${u.id} → ${v.id}: already seen`);
+        }
+      } else {
+        frames.pop();
+        container.pop();
+        status.set(u.id, 'visited');
+        record(u, `Finish ${u.id}, pop it`);
+      }
+    }
+  }
+
+  record(null, `Done: reached ${status.size} of ${nodes.length} nodes`);
+  return steps;
+}
+// -------------------------------
+// SHORTEST PATHS
+// -------------------------------
+function startPathfinding(source, target) {
+  const algorithm = pathAlgorithmSelect.value();
+  const mode = pathModeSelect.value();
+
+  if (algorithm !== 'Bellman-Ford' && edges.some(edge => getEdgeCost(edge) < 0)) {
+    createToast(`Error: ${algorithm} needs non-negative weights, try Bellman-Ford.`, 5000);
+    return;
+  }
+
+  const run = algorithm === 'Bellman-Ford'
+    ? buildBellmanFordSteps(source, target)
+    : buildDijkstraSteps(source, target, algorithm === 'A*');
+  if (!run.hasNegativeCycle) finishPathSteps(run, source, target, mode);
+
+  const title = target ? `${algorithm} ${source.id} → ${target.id}` : `${algorithm} from ${source.id}`;
+  const containerLabel = algorithm === 'Bellman-Ford' ? "Pass" : "Priority queue (node:priority)";
+  startPlayback(title, containerLabel, run.steps);
+}
+function getEdgeCost(edge) {
+  if (graph.weighted) return edge.weight;
+  return isEuclideanCost ? dist(edge.a.x, edge.a.y, edge.b.x, edge.b.y) : 1;
+}
+function formatCost(value) {
+  return Number.isInteger(value) ? String(value) : value.toFixed(1);
+}
+function getHeuristicScale() {
+  // Straight-line distance times the smallest cost per unit of length never overestimates,
+  // so A* stays exact whatever the edge costs are
+  let scale = Infinity;
+  for (const edge of edges) {
+    const length = dist(edge.a.x, edge.a.y, edge.b.x, edge.b.y);
+    if (length > 0) scale = min(scale, getEdgeCost(edge) / length);
+  }
+  return isFinite(scale) ? max(0, scale) : 0;
+}
+function createPathState() {
+  const changes = []; // since the last step
+  return {
+    changes,
+    status: new StepMap('status', changes),       // node id -> 'frontier' | 'visited' (settled)
+    edgeKinds: new StepMap('edgeKinds', changes),
+    distances: new StepMap('distances', changes),
+    predecessors: new Map(), // node id -> edge used to reach it
+  };
+}
+function createPathRecorder(steps, state) {
+  return (current, message, container) => steps.push({
+    changes: state.changes.splice(0),
+    container,
+    current: current ? current.id : null,
+    message,
+  });
+}
+function setPredecessor(state, node, edge) {
+  // The old predecessor edge no longer belongs to the shortest-path tree
+  const previous = state.predecessors.get(node.id);
+  if (previous && previous !== edge) state.edgeKinds.set(previous.key(), 'nontree');
+  state.predecessors.set(node.id, edge);
+  state.edgeKinds.set(edge.key(), 'tree');
+}
+function buildDijkstraSteps(source, target, isAStar) {
+  const steps = [];
+  const state = createPathState();
+  const record = createPathRecorder(steps, state);
+  state.distances.set(source.id, 0);
+  const adjacency = getAdjacency();
+  // Without a target (all distances, farthest node) A* is plain Dijkstra
+  const scale = isAStar && target ? getHeuristicScale() : 0;
+  const heuristic = node => scale ? scale * dist(node.x, node.y, target.x, target.y) : 0;
+
+  // A plain array is plenty for graphs drawn by hand
+  let queue = [{ node: source, priority: heuristic(source) }];
+  const queueText = () => summarizeContainer(queue, 0, false, entry => `${entry.node.id}:${formatCost(entry.priority)}`);
+
+  state.status.set(source.id, 'frontier');
+  record(source, `Start at ${source.id} with distance 0`, queueText());
+
+  while (queue.length) {
+    queue.sort((p, q) => p.priority - q.priority);
+    const { node: u } = queue.shift();
+    if (state.status.get(u.id) === 'visited') continue; // stale entry
+
+    state.status.set(u.id, 'visited');
+    const du = state.distances.get(u.id);
+    record(u, `Settle ${u.id} at distance ${formatCost(du)}`, queueText());
+    if (u === target) break;
+
+    for (const { node: v, edge } of adjacency.get(u)) {
+      if (state.status.get(v.id) === 'visited') continue;
+
+      const candidate = du + getEdgeCost(edge);
+      const known = state.distances.get(v.id);
+      if (known === undefined || candidate < known) {
+        state.distances.set(v.id, candidate);
+        state.status.set(v.id, 'frontier');
+        setPredecessor(state, v, edge);
+        queue.push({ node: v, priority: candidate + heuristic(v) });
+        record(u, `Relax ${u.id} → ${v.id}: distance ${formatCost(candidate)}`, queueText());
+      } else {
+        if (!state.edgeKinds.has(edge.key())) state.edgeKinds.set(edge.key(), 'nontree');
+        record(u, `${u.id} → ${v.id}: ${formatCost(candidate)} is no better than ${formatCost(known)}`, queueText());
+      }
+    }
+  }
+  return { steps, state };
+}
+function buildBellmanFordSteps(source, target) {
+  const steps = [];
+  const state = createPathState();
+  const record = createPathRecorder(steps, state);
+  state.status.set(source.id, 'visited');
+  state.distances.set(source.id, 0);
+  const passes = max(1, nodes.length - 1);
+
+  // Undirected edges can be relaxed both ways
+  const arcs = [];
+  for (const edge of edges) {
+    arcs.push({ from: edge.a, to: edge.b, edge });
+    if (!graph.directed) arcs.push({ from: edge.b, to: edge.a, edge });
+  }
+
+  record(source, `Start at ${source.id} with distance 0`, [`0 of ${passes}`]);
+  for (let pass = 1; pass <= passes; pass++) {
+    let changed = false;
+    for (const { from, to, edge } of arcs) {
+      const du = state.distances.get(from.id);
+      if (du === undefined) continue; // not reached yet
+
+      const candidate = du + getEdgeCost(edge);
+      const known = state.distances.get(to.id);
+      if (known === undefined || candidate < known) {
+        state.distances.set(to.id, candidate);
+        state.status.set(to.id, 'visited');
+        setPredecessor(state, to, edge);
+        changed = true;
+        record(to, `Relax ${from.id} → ${to.id}: distance ${formatCost(candidate)}`, [`${pass} of ${passes}`]);
+      }
+    }
+    if (!changed) {
+      record(null, `Pass ${pass} changed nothing, distances are final`, [`${pass} of ${passes}`]);
+      break;
+    }
+  }
+
+  // One more improving edge means a negative cycle is reachable
+  for (const { from, to, edge } of arcs) {
+    const du = state.distances.get(from.id);
+    if (du !== undefined && du + getEdgeCost(edge) < state.distances.get(to.id)) {
+      createToast("Error: Negative cycle reachable from the source.", 5000);
+      state.edgeKinds.set(edge.key(), 'path');
+      record(to, `Negative cycle: ${from.id} → ${to.id} still improves`, ["check"]);
+      return { steps, state, hasNegativeCycle: true };
+    }
+  }
+  return { steps, state };
+}
+function finishPathSteps(run, source, target, mode) {
+  const { distances, status, edgeKinds, predecessors } = run.state;
+
+  // Unreached nodes are unvisited; everything else reached is settled
+  for (const id of distances.keys()) status.set(id, 'visited');
+
+  if (mode === 'Farthest node') {
+    let farthest = null;
+    for (const [id, distance] of distances) {
+      if (!farthest || distance > farthest.distance) farthest = { id, distance };
+    }
+    target = nodes.find(node => node.id === farthest.id);
+  }
+
+  const reached = target && distances.has(target.id);
+  const path = [];
+  if (reached) {
+    // Walk the predecessor edges back from the target, all distances keeps the whole tree
+    let node = target;
+    path.push(node.id);
+    while (node !== source) {
+      const edge = predecessors.get(node.id);
+      if (mode !== 'All distances') edgeKinds.set(edge.key(), 'path');
+      node = edge.other(node);
+      path.unshift(node.id);
+    }
+  }
+
+  let message;
+  if (mode === 'All distances') {
+    message = `Distances from ${source.id}: reached ${distances.size} of ${nodes.length} nodes`;
+  } else if (!reached) {
+    message = `No path from ${source.id} to ${target.id}`;
+  } else {
+    const cost = formatCost(distances.get(target.id));
+    const prefix = mode === 'Farthest node' ? `Farthest node is ${target.id}` : "Shortest path";
+    message = `${prefix}: cost ${cost} via ${path.join(" → ")}`;
+  }
+
+  createPathRecorder(run.steps, run.state)(target, message, []);
+}
+// -------------------------------
+// SPANNING TREES
+// -------------------------------
+// Minimum spanning trees ignore edge directions. An edge costs its weight, or its
+// length when the graph is unweighted. Disconnected graphs get a spanning forest.
+function startSpanningTree() {
+  if (edges.length === 0) {
+    createToast("Add some edges first.");
+    return;
+  }
+  if (graph.directed) createToast("Edge directions are ignored for spanning trees.");
+
+  const algorithm = mstAlgorithmSelect.value();
+  if (algorithm === 'Kruskal') {
+    startPlayback("Kruskal", "Union-find sets", buildKruskalSteps());
+  } else {
+    const start = selectedNode || nodes[0];
+    startPlayback(`Prim from ${start.id}`, "Priority queue (edge:cost)", buildPrimSteps(start));
+  }
+}
+function getSpanningCost(edge) {
+  return graph.weighted ? edge.weight : dist(edge.a.x, edge.a.y, edge.b.x, edge.b.y);
+}
+function formatSpanningEdge(edge) {
+  return `${edge.a.id} — ${edge.b.id} (${formatCost(getSpanningCost(edge))})`;
+}
+function formatSpanningTotal(total, accepted) {
+  const components = nodes.length - accepted;
+  const name = components === 1 ? "Minimum spanning tree" : `Minimum spanning forest (${components} components)`;
+  return `${name}: total ${formatCost(total)} over ${accepted} edge${accepted === 1 ? "" : "s"}`;
+}
+function buildKruskalSteps() {
+  const steps = [];
+  const changes = [];
+  const status = new StepMap('status', changes);       // node id -> 'visited' once an accepted edge touches it
+  const edgeKinds = new StepMap('edgeKinds', changes); // edge key -> 'tree' (accepted) | 'nontree' (rejected)
+
+  // Union-find with path halving and union by size; each root also keeps its set's nodes to show
+  const parent = new Map(nodes.map(node => [node, node]));
+  const members = new Map(nodes.map(node => [node, [node]]));
+  const order = new Map(nodes.map((node, i) => [node, i]));
+  const find = node => {
+    while (parent.get(node) !== node) {
+      parent.set(node, parent.get(parent.get(node)));
+      node = parent.get(node);
+    }
+    return node;
+  };
+  const sets = () => {
+    // The first sets and their first ids, a big forest would make every step huge
+    const shown = [];
+    for (let set of members.values()) {
+      if (shown.length === CONTAINER_SHOWN) {
+        shown.push(`${members.size - CONTAINER_SHOWN} more`);
+        break;
+      }
+      if (set.length <= CONTAINER_SHOWN) set = [...set].sort((p, q) => order.get(p) - order.get(q));
+      shown.push(`{${summarizeContainer(set, 0, false).join(" ")}}`);
+    }
+    return shown;
+  };
+  const record = (current, message) => steps.push({
+    changes: changes.splice(0),
+    container: sets(),
+    current: current ? current.id : null,
+    message,
+  });
+
+  // Cheapest first; equal costs keep the edge order
+  const sorted = edges.map(edge => ({ edge, cost: getSpanningCost(edge) })).sort((p, q) => p.cost - q.cost);
+  let total = 0;
+  let accepted = 0;
+  record(null, `Sort the ${edges.length} edges by cost, every node is its own set`);
+  for (const { edge, cost } of sorted) {
+    let a = find(edge.a);
+    let b = find(edge.b);
+    if (a === b) {
+      edgeKinds.set(edge.key(), 'nontree');
+      record(null, `Reject ${formatSpanningEdge(edge)}: both ends are in the same set`);
+      continue;
+    }
+
+    if (members.get(a).length < members.get(b).length) [a, b] = [b, a];
+    parent.set(b, a);
+    for (const node of members.get(b)) members.get(a).push(node);
+    members.delete(b);
+    edgeKinds.set(edge.key(), 'tree');
+    status.set(edge.a.id, 'visited');
+    status.set(edge.b.id, 'visited');
+    total += cost;
+    accepted++;
+    record(null, `Accept ${formatSpanningEdge(edge)}, join the sets: total ${formatCost(total)}`);
+  }
+
+  record(null, formatSpanningTotal(total, accepted));
+  return steps;
+}
+function buildPrimSteps(start) {
+  const steps = [];
+  const changes = [];
+  const status = new StepMap('status', changes);       // node id -> 'frontier' (next to the tree) | 'visited' (in the tree)
+  const edgeKinds = new StepMap('edgeKinds', changes); // edge key -> 'candidate' (queued) | 'tree' (accepted) | 'nontree' (rejected)
+
+  // A plain array kept sorted is plenty for graphs drawn by hand
+  const queue = [];
+  let head = 0; // cheapest entry not taken yet, taking one doesn't shift the array
+  const record = (current, message) => steps.push({
+    changes: changes.splice(0),
+    container: summarizeContainer(queue, head, false, entry => `${entry.from.id}—${entry.to.id}:${formatCost(entry.cost)}`),
+    current: current ? current.id : null,
+    message,
+  });
+  const addToTree = node => {
+    status.set(node.id, 'visited');
+    for (const edge of graph.edgesOf(node)) {
+      const to = edge.other(node);
+      if (status.get(to.id) === 'visited') continue;
+      if (!status.has(to.id)) status.set(to.id, 'frontier');
+      edgeKinds.set(edge.key(), 'candidate');
+      queue.push({ edge, from: node, to, cost: getSpanningCost(edge) });
+    }
+    queue.splice(0, head);
+    head = 0;
+    queue.sort((p, q) => p.cost - q.cost);
+  };
+
+  let total = 0;
+  let accepted = 0;
+  // Each unreached node starts another tree of the forest
+  for (const root of [start, ...nodes]) {
+    if (status.get(root.id) === 'visited') continue;
+    addToTree(root);
+    record(root, `Start a tree at ${root.id}, queue its edges`);
+
+    while (head < queue.length) {
+      const { edge, to } = queue[head++];
+      if (status.get(to.id) === 'visited') {
+        edgeKinds.set(edge.key(), 'nontree');
+        record(to, `Reject ${formatSpanningEdge(edge)}: ${to.id} is already in the tree`);
+        continue;
+      }
+
+      edgeKinds.set(edge.key(), 'tree');
+      total += getSpanningCost(edge);
+      accepted++;
+      addToTree(to);
+      record(to, `Accept ${formatSpanningEdge(edge)}, add ${to.id} to the tree: total ${formatCost(total)}`);
+    }
+  }
+
+  record(null, formatSpanningTotal(total, accepted));
+  return steps;
+}
+// -------------------------------
+// NETWORK FLOW
+// -------------------------------
+// An edge's capacity is its own if set, else its weight (1 when unweighted).
+// A directed edge carries flow from a to b only; an undirected one either way,
+// a negative flow runs b → a. Steps keep the flows that changed (by edge key),
+// the capacities are shared.
+function handleMaxFlowButton() {
+  if (!selectedNode) {
+    createToast("Please select the source node first.");
+    return;
+  }
+  connectModeOff();
+  isPickingTarget = true;
+  targetAction = startMaxFlow;
+  createToast("Click the sink node.");
+}
+function handleResidualButton() {
+  isResidualShown = !isResidualShown;
+  updateUIState();
+}
+function handleMinimapButton() {
+  isMinimapShown = !isMinimapShown;
+  updateUIState();
+}
+function startMaxFlow(source, sink) {
+  if (edges.some(edge => getFlowCapacity(edge) < 0)) {
+    createToast("Error: Capacities (edge capacities or weights) can't be negative.", 5000);
+    return;
+  }
+  if (!graph.weighted && edges.some(edge => edge.capacity === null)) createToast("Unweighted graph, edges without a capacity have capacity 1.");
+
+  const algorithm = flowAlgorithmSelect.value();
+  startPlayback(`${algorithm} ${source.id} → ${sink.id}`, "Augmenting paths (path:amount)", buildMaxFlowSteps(source, sink, algorithm === 'Edmonds-Karp'));
+}
+function getFlowCapacity(edge) {
+  if (edge.capacity !== null) return edge.capacity;
+  return graph.weighted ? edge.weight : 1;
+}
+function buildMaxFlowSteps(source, sink, isBreadthFirst) {
+  const steps = [];
+  const changes = [];
+  const status = new StepMap('status', changes);       // node id -> 'frontier' (on the path) | 'visited' | 'sink-side'
+  const edgeKinds = new StepMap('edgeKinds', changes); // edge key -> 'flow' | 'path' | 'cut'
+  const flows = new StepMap('flows', changes);         // edge key -> flow, negative runs b → a
+  const capacities = new Map(edges.map(edge => [edge.key(), getFlowCapacity(edge)]));
+  const flow = new Map(edges.map(edge => [edge, 0]));
+  const augmented = []; // "1→2→4:3" per augmenting path so far
+  let total = 0;
+
+  // Residual arcs: forward along an edge while it has room, backward while it carries flow
+  const arcsFrom = new Map(nodes.map(node => [node, []]));
+  for (const edge of edges) {
+    arcsFrom.get(edge.a).push({ edge, from: edge.a, to: edge.b, direction: 1 });
+    arcsFrom.get(edge.b).push({ edge, from: edge.b, to: edge.a, direction: -1 });
+  }
+  const residual = arc => {
+    const capacity = getFlowCapacity(arc.edge);
+    const f = flow.get(arc.edge);
+    if (arc.direction > 0) return capacity - f;
+    return graph.directed ? f : capacity + f;
+  };
+
+  const record = (current, message) => steps.push({
+    changes: changes.splice(0),
+    capacities,
+    container: summarizeContainer(augmented, 0, true, route => route),
+    current: current ? current.id : null,
+    message,
+  });
+  let path = [];
+  const unmarkPath = () => {
+    // The last path's nodes lose their mark, its edges show whether they carry flow now
+    for (const arc of path) {
+      status.delete(arc.to.id);
+      if (flow.get(arc.edge) !== 0) edgeKinds.set(arc.edge.key(), 'flow');
+      else edgeKinds.delete(arc.edge.key());
+    }
+    status.delete(source.id);
+  };
+  const findPath = () => {
+    // node -> the residual arc it was reached by; BFS gives shortest paths (Edmonds-Karp)
+    const reachedBy = new Map([[source, null]]);
+    const pending = [source];
+    let head = 0; // BFS takes from the front, so dequeuing doesn't shift the array
+    while (head < pending.length && !reachedBy.has(sink)) {
+      const u = isBreadthFirst ? pending[head++] : pending.pop();
+      for (const arc of arcsFrom.get(u)) {
+        if (reachedBy.has(arc.to) || residual(arc) <= FLOW_EPSILON) continue;
+        reachedBy.set(arc.to, arc);
+        pending.push(arc.to);
+      }
+    }
+    return reachedBy;
+  };
+
+  for (const edge of edges) flows.set(edge.key(), 0);
+  status.set(source.id, 'visited');
+  status.set(sink.id, 'sink-side');
+  record(source, `Source ${source.id}, sink ${sink.id}: every edge starts with flow 0`);
+
+  let reachedBy = findPath();
+  while (reachedBy.has(sink)) {
+    if (augmented.length === FLOW_MAX_AUGMENTATIONS) {
+      unmarkPath();
+      record(null, `Stopped after ${FLOW_MAX_AUGMENTATIONS} augmenting paths, flow so far ${formatCost(total)}`);
+      return steps;
+    }
+
+    unmarkPath();
+    path = [];
+    for (let node = sink; node !== source; node = reachedBy.get(node).from) path.unshift(reachedBy.get(node));
+    const amount = min(...path.map(residual));
+    const route = [source.id, ...path.map(arc => arc.to.id)].join("→");
+    const undone = path.filter(arc => arc.direction < 0 && (graph.directed || flow.get(arc.edge) > 0));
+
+    status.set(source.id, 'frontier');
+    for (const arc of path) {
+      status.set(arc.to.id, 'frontier');
+      edgeKinds.set(arc.edge.key(), 'path');
+    }
+    let message = `Augmenting path ${route}, bottleneck ${formatCost(amount)}`;
+    if (undone.length) message += `, takes back flow on ${undone.map(arc => arc.edge.name()).join(", ")}`;
+    record(sink, message);
+
+    for (const arc of path) {
+      flow.set(arc.edge, flow.get(arc.edge) + arc.direction * amount);
+      flows.set(arc.edge.key(), flow.get(arc.edge));
+    }
+    total += amount;
+    augmented.push(`${route}:${formatCost(amount)}`);
+    record(sink, `Push ${formatCost(amount)} along it, the flow is now ${formatCost(total)}`);
+
+    reachedBy = findPath();
+  }
+
+  // The nodes still reachable in the residual graph are the source side of a minimum cut
+  unmarkPath();
+  for (const node of nodes) status.set(node.id, reachedBy.has(node) ? 'visited' : 'sink-side');
+  const cut = edges.filter(edge => reachedBy.has(edge.a) !== reachedBy.has(edge.b) && (!graph.directed || reachedBy.has(edge.a)));
+  for (const edge of cut) edgeKinds.set(edge.key(), 'cut');
+  const sourceSide = nodes.filter(node => reachedBy.has(node)).map(node => node.id);
+  record(null, `Max flow ${formatCost(total)} = min cut {${sourceSide.join(" ")}}: ${cut.map(edge => edge.name()).join(", ") || "no edges"}`);
+  return steps;
+}
+function getFlowCaption(edge) {
+  // "flow/capacity" while a max-flow run is shown, null otherwise
+  const step = playback && getPlaybackStep();
+  if (!step || !step.flows) return null;
+  const flow = step.flows.get(edge.key());
+  let caption = `${formatCost(abs(flow))}/${formatCost(step.capacities.get(edge.key()))}`;
+  // Undirected edges say which way their flow runs
+  if (!graph.directed && flow !== 0) caption += flow > 0 ? ` (${edge.a.id}→${edge.b.id})` : ` (${edge.b.id}→${edge.a.id})`;
+  return caption;
+}
+function drawResidualEdges(step) {
+  // Residual capacity beside each edge, one arrow per direction that still has room
+  for (const edge of edges) {
+    if (!edge.isInView()) continue;
+    const capacity = step.capacities.get(edge.key());
+    const flow = step.flows.get(edge.key());
+    const forward = capacity - flow;
+    const backward = graph.directed ? flow : capacity + flow;
+    if (forward > FLOW_EPSILON) drawResidualArc(edge, edge.a, edge.b, forward);
+    if (backward > FLOW_EPSILON) drawResidualArc(edge, edge.b, edge.a, backward);
+  }
+  strokeWeight(1);
+}
+function drawResidualArc(edge, from, to, amount) {
+  // On the right of the direction it points in, so the two directions don't overlap
+  const d = dist(from.x, from.y, to.x, to.y) || 1;
+  const ux = (to.x - from.x) / d;
+  const uy = (to.y - from.y) / d;
+  const px = -uy * 10;
+  const py = ux * 10;
+  const x1 = from.x + ux * from.getRadius() + px;
+  const y1 = from.y + uy * from.getRadius() + py;
+  const x2 = to.x - ux * to.getRadius() + px;
+  const y2 = to.y - uy * to.getRadius() + py;
+
+  stroke(80, 200, 220);
+  strokeWeight(1);
+  drawingContext.setLineDash([4, 4]);
+  line(x1, y1, x2, y2);
+  drawingContext.setLineDash([]);
+  const [tip, left, right] = edge.getArrowPoints(x2, y2, ux, uy);
+  fill(80, 200, 220);
+  noStroke();
+  triangle(tip.x, tip.y, left.x, left.y, right.x, right.y);
+  textSize(11);
+  textAlign(CENTER, CENTER);
+  text(formatCost(amount), (x1 + x2) / 2 + px, (y1 + y2) / 2 + py);
+}
+// -------------------------------
+// GRAPH ANALYSIS
+// -------------------------------
+// The analysis panel answers the usual questions about the graph, recomputed
+// whenever the graph changes while it's open. Clicking a result highlights its
+// nodes and edges on the canvas. Components, bipartiteness, bridges and
+// articulation points ignore edge directions; cycles and distances follow them.
+function createAnalysisPanel() {
+  analysisPanel = createDiv();
+  analysisPanel.class('panel analysis');
+  analysisPanel.hide();
+
+  createDiv('Analysis').class('panel-title').parent(analysisPanel);
+  analysisList = createDiv().parent(analysisPanel);
+  analysisList.elt.addEventListener('click', event => {
+    const row = event.target.closest('[data-key]');
+    if (!row) return;
+    analysisKey = analysisKey === row.dataset.key ? null : row.dataset.key;
+    renderAnalysis();
+  });
+}
+function toggleAnalysis() {
+  isAnalysisOpen = !isAnalysisOpen;
+  analysisRevision = -1;
+  analysisKey = null;
+  if (isAnalysisOpen) analysisPanel.show();
+  else analysisPanel.hide();
+}
+function updateAnalysisPanel() {
+  if (!isAnalysisOpen || analysisRevision === graphRevision) return;
+  analysisRevision = graphRevision;
+  analysisResults = analyzeGraph();
+
+  // The highlighted result stays highlighted while it still applies
+  if (!getAnalysisHighlight()) analysisKey = null;
+  renderAnalysis();
+}
+function renderAnalysis() {
+  analysisList.html(analysisResults.map(result => {
+    const text = `${escapeXml(result.label)}: <b>${escapeXml(result.value)}</b>`;
+    if (!result.highlight) return `<div class="analysis-item">${text}</div>`;
+    const state = result.key === analysisKey ? " current" : "";
+    return `<div class="analysis-item clickable${state}" data-key="${result.key}">${text}</div>`;
+  }).join(""));
+}
+function getAnalysisHighlight() {
+  if (!isAnalysisOpen || analysisKey === null) return null;
+  const result = analysisResults.find(result => result.key === analysisKey);
+  return result ? result.highlight : null;
+}
+function drawAnalysisEdges() {
+  const highlight = getAnalysisHighlight();
+  if (!highlight) return;
+
+  strokeWeight(4);
+  for (const [edge, color] of highlight.edges) {
+    if (!edge.isInView()) continue;
+    const { x1, y1, x2, y2 } = edge.getSegment();
+    stroke(color);
+    line(x1, y1, x2, y2);
+  }
+  strokeWeight(1);
+}
+function drawAnalysisNodes() {
+  const highlight = getAnalysisHighlight();
+  if (!highlight) return;
+
+  stroke(getTheme().nodeStroke);
+  for (const [node, color] of highlight.nodes) {
+    if (!node.isInView()) continue;
+    fill(color);
+    node.drawShape(node.getRadius() * 2);
+  }
+}
+function analyzeGraph() {
+  // [{ key, label, value, highlight: { nodes: Map(node -> color), edges: Map(edge -> color) } | null }]
+  const results = [];
+  const add = (key, label, value, highlight = null) => results.push({ key, label, value: String(value), highlight });
+  const n = nodes.length;
+  const m = edges.length;
+  const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+  add('counts', "Nodes / edges", `${n} / ${m}`);
+
+  // Degree counts every edge touching a node, incoming and outgoing alike
+  const byDegree = new Map();
+  for (const node of nodes) {
+    const degree = graph.degree(node);
+    if (!byDegree.has(degree)) byDegree.set(degree, []);
+    byDegree.get(degree).push(node);
+  }
+  for (const degree of [...byDegree.keys()].sort((a, b) => a - b)) {
+    const group = byDegree.get(degree);
+    add('degree-' + degree, `Degree ${degree}`, plural(group.length, "node"), createHighlight(group, []));
+  }
+
+  const pairs = n * (n - 1) / (graph.directed ? 1 : 2);
+  add('density', "Density", pairs > 0 ? formatRatio(m / pairs) : "–");
+
+  const forest = getSpanningForest();
+  const components = forest.components;
+  add('components', graph.directed ? "Weakly connected components" : "Connected components",
+    components.length, components.length > 0 ? createComponentHighlight(components) : null);
+
+  const cycle = graph.directed ? findDirectedCycle() : findForestCycle(forest, () => true);
+  add('acyclic', "Acyclic", cycle ? "no, click for a cycle" : "yes",
+    cycle ? createHighlight(cycle.nodes, cycle.edges) : null);
+
+  // Two-colorable exactly when no edge joins two nodes at the same BFS depth parity
+  const isSameSide = edge => forest.depth.get(edge.a) % 2 === forest.depth.get(edge.b) % 2;
+  const oddCycle = findForestCycle(forest, isSameSide);
+  if (oddCycle) {
+    add('bipartite', "Bipartite", "no, click for an odd cycle", createHighlight(oddCycle.nodes, oddCycle.edges));
+  } else {
+    const sides = [nodes.filter(node => forest.depth.get(node) % 2 === 0), nodes.filter(node => forest.depth.get(node) % 2 === 1)];
+    add('bipartite', "Bipartite", n > 0 ? "yes, click for the two sides" : "yes", n > 0 ? createComponentHighlight(sides) : null);
+  }
+
+  if (n === 0) {
+    add('diameter', "Diameter", "–");
+    add('radius', "Radius", "–");
+  } else if (n > ANALYSIS_DISTANCE_LIMIT) {
+    add('diameter', "Diameter", `skipped, over ${ANALYSIS_DISTANCE_LIMIT} nodes`);
+    add('radius', "Radius", `skipped, over ${ANALYSIS_DISTANCE_LIMIT} nodes`);
+  } else {
+    const { diameter, radius, path, centers } = getEccentricities();
+    const unreachable = graph.directed ? "∞, not strongly connected" : "∞, not connected";
+    add('diameter', "Diameter (hops)", diameter === Infinity ? unreachable : diameter,
+      path ? createHighlight(path.nodes, path.edges) : null);
+    add('radius', "Radius (hops)", radius === Infinity ? unreachable : radius,
+      radius === Infinity ? null : createHighlight(centers, []));
+  }
+
+  const { bridges, cutNodes } = findBridgesAndCutNodes();
+  add('bridges', "Bridges", bridges.length, bridges.length ? createHighlight([], bridges) : null);
+  add('articulation', "Articulation points", cutNodes.length, cutNodes.length ? createHighlight(cutNodes, []) : null);
+  return results;
+}
+function formatRatio(value) {
+  return String(Number(value.toFixed(3)));
+}
+function createHighlight(highlightNodes, highlightEdges, color = ANALYSIS_COLORS[0]) {
+  return {
+    nodes: new Map(highlightNodes.map(node => [node, color])),
+    edges: new Map(highlightEdges.map(edge => [edge, color])),
+  };
+}
+function createComponentHighlight(groups) {
+  // One color per group, edges inside a group share it
+  const highlight = { nodes: new Map(), edges: new Map() };
+  groups.forEach((group, i) => {
+    for (const node of group) highlight.nodes.set(node, ANALYSIS_COLORS[i % ANALYSIS_COLORS.length]);
+  });
+  for (const edge of edges) {
+    const color = highlight.nodes.get(edge.a);
+    if (color && color === highlight.nodes.get(edge.b)) highlight.edges.set(edge, color);
+  }
+  return highlight;
+}
+function getSpanningForest() {
+  // BFS ignoring directions: every node's depth and the tree edge towards its root
+  const depth = new Map();
+  const parentEdge = new Map();
+  const components = [];
+  for (const root of nodes) {
+    if (depth.has(root)) continue;
+    const component = [root];
+    depth.set(root, 0);
+    for (let i = 0; i < component.length; i++) {
+      const u = component[i];
+      for (const edge of graph.edgesOf(u)) {
+        const v = edge.other(u);
+        if (depth.has(v)) continue;
+        depth.set(v, depth.get(u) + 1);
+        parentEdge.set(v, edge);
+        component.push(v);
+      }
+    }
+    components.push(component);
+  }
+  return { depth, parentEdge, components };
+}
+function findForestCycle(forest, accept) {
+  // Any edge outside the forest closes a cycle with the tree paths from its ends
+  const closing = edges.find(edge => {
+    return forest.parentEdge.get(edge.a) !== edge && forest.parentEdge.get(edge.b) !== edge && accept(edge);
+  });
+  if (!closing) return null;
+
+  let u = closing.a;
+  let v = closing.b;
+  const cycleNodes = new Set([u, v]);
+  const cycleEdges = [closing];
+  while (u !== v) {
+    // Climb from the deeper end until both meet
+    if (forest.depth.get(u) < forest.depth.get(v)) [u, v] = [v, u];
+    const edge = forest.parentEdge.get(u);
+    cycleEdges.push(edge);
+    u = edge.other(u);
+    cycleNodes.add(u);
+  }
+  return { nodes: [...cycleNodes], edges: cycleEdges };
+}
+function findDirectedCycle() {
+  // Iterative DFS: an edge to a node that is still on the stack closes a cycle
+  const state = new Map(); // node -> 'open' while on the stack, 'done' after
+  for (const root of nodes) {
+    if (state.has(root)) continue;
+    state.set(root, 'open');
+    const stack = [{ node: root, edges: graph.edgesOf(root), next: 0, via: null }];
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      if (top.next === top.edges.length) {
+        state.set(top.node, 'done');
+        stack.pop();
+        continue;
+      }
+      const edge = top.edges[top.next++];
+      if (edge.a !== top.node) continue; // incoming
+      const v = edge.b;
+      if (state.get(v) === 'open') {
+        const frames = stack.slice(stack.findIndex(frame => frame.node === v));
+        return { nodes: frames.map(frame => frame.node), edges: [...frames.slice(1).map(frame => frame.via), edge] };
+      }
+      if (!state.has(v)) {
+        state.set(v, 'open');
+        stack.push({ node: v, edges: graph.edgesOf(v), next: 0, via: edge });
+      }
+    }
+  }
+  return null;
+}
+function getBfsTree(source) {
+  // node -> the last edge of a shortest route to it from the source
+  const reachedBy = new Map([[source, null]]);
+  const queue = [source];
+  for (let i = 0; i < queue.length; i++) {
+    const u = queue[i];
+    for (const edge of graph.edgesOf(u)) {
+      if (graph.directed && edge.a !== u) continue;
+      const v = edge.other(u);
+      if (reachedBy.has(v)) continue;
+      reachedBy.set(v, edge);
+      queue.push(v);
+    }
+  }
+  return reachedBy;
+}
+function getEccentricities() {
+  // Eccentricity is the hop count to the farthest node, infinite if some node can't be reached.
+  // One BFS per node, on index arrays since this runs on every change while the panel is open.
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  const adjacency = nodes.map(node => graph.edgesOf(node)
+    .filter(edge => !graph.directed || edge.a === node)
+    .map(edge => index.get(edge.other(node))));
+  const hops = new Int32Array(nodes.length);
+  const queue = new Int32Array(nodes.length);
+  const eccentricity = [];
+  let farthest = { source: 0, target: 0, value: -1 };
+  for (let source = 0; source < nodes.length; source++) {
+    hops.fill(-1);
+    hops[source] = 0;
+    queue[0] = source;
+    let size = 1;
+    for (let i = 0; i < size; i++) {
+      const u = queue[i];
+      for (const v of adjacency[u]) {
+        if (hops[v] !== -1) continue;
+        hops[v] = hops[u] + 1;
+        queue[size++] = v;
+      }
+    }
+    const target = queue[size - 1]; // BFS order ends on a farthest node
+    const value = size < nodes.length ? Infinity : hops[target];
+    eccentricity.push(value);
+    if (value > farthest.value) farthest = { source, target, value };
+  }
+
+  const diameter = max(...eccentricity);
+  const radius = min(...eccentricity);
+
+  // A longest shortest route, walked back from its far end
+  let path = null;
+  if (diameter !== Infinity) {
+    const reachedBy = getBfsTree(nodes[farthest.source]);
+    path = { nodes: [nodes[farthest.target]], edges: [] };
+    for (let node = nodes[farthest.target]; node !== nodes[farthest.source];) {
+      const edge = reachedBy.get(node);
+      node = edge.other(node);
+      path.edges.push(edge);
+      path.nodes.push(node);
+    }
+  }
+  const centers = nodes.filter((node, i) => eccentricity[i] === radius);
+  return { diameter, radius, path, centers };
+}
+function findBridgesAndCutNodes() {
+  // Tarjan's low-link, ignoring directions. Iterative so long paths can't overflow the stack.
+  // Only the edge a node was reached by is skipped, so a reciprocal pair is never a bridge.
+  const order = new Map();
+  const low = new Map();
+  const bridges = [];
+  const cutNodes = new Set();
+  for (const root of nodes) {
+    if (order.has(root)) continue;
+    order.set(root, order.size);
+    low.set(root, order.get(root));
+    let rootChildren = 0;
+    const stack = [{ node: root, edges: graph.edgesOf(root), next: 0, via: null }];
+    while (stack.length) {
+      const top = stack[stack.length - 1];
+      if (top.next < top.edges.length) {
+        const edge = top.edges[top.next++];
+        if (edge === top.via) continue;
+        const v = edge.other(top.node);
+        if (order.has(v)) {
+          low.set(top.node, min(low.get(top.node), order.get(v)));
+          continue;
+        }
+        order.set(v, order.size);
+        low.set(v, order.get(v));
+        if (top.node === root) rootChildren++;
+        stack.push({ node: v, edges: graph.edgesOf(v), next: 0, via: edge });
+        continue;
+      }
+
+      // Finished a node: report what hangs off its parent only through it
+      stack.pop();
+      if (stack.length === 0) break;
+      const parent = stack[stack.length - 1].node;
+      low.set(parent, min(low.get(parent), low.get(top.node)));
+      if (low.get(top.node) > order.get(parent)) bridges.push(top.via);
+      if (parent !== root && low.get(top.node) >= order.get(parent)) cutNodes.add(parent);
+    }
+    if (rootChildren > 1) cutNodes.add(root);
+  }
+  return { bridges, cutNodes: [...cutNodes] };
+}
+// -------------------------------
+// SEARCH & FILTER
+// -------------------------------
+// The search box takes a label substring, a "/regex/flags" on labels, or filter
+// conditions like "degree > 3" or "color = red" joined with "and" / "or" ("and"
+// binds tighter). Nodes that don't match are faded or hidden while the box is open.
+const SEARCH_CONDITION = /^\s*([\w.-]+)\s*(!=|>=|<=|=|>|<|~)\s*(.*?)\s*$/;
+const SEARCH_FIELDS = { // filter fields, any other name is looked up in the node's attributes
+  id: node => node.id,
+  label: node => node.label,
+  degree: node => graph.degree(node),
+  indegree: node => graph.inDegree(node),
+  outdegree: node => graph.outDegree(node),
+  color: node => toColorKey(node.color),
+  radius: node => node.r,
+  x: node => node.x,
+  y: node => node.y,
+};
+const CSS_COLORS = { // the CSS color names, so "color = red" finds "#ff0000"
+  aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4', azure: '#f0ffff',
+  beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000', blanchedalmond: '#ffebcd', blue: '#0000ff',
+  blueviolet: '#8a2be2', brown: '#a52a2a', burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00',
+  chocolate: '#d2691e', coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+  cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b', darkgray: '#a9a9a9',
+  darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b', darkmagenta: '#8b008b', darkolivegreen: '#556b2f',
+  darkorange: '#ff8c00', darkorchid: '#9932cc', darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f',
+  darkslateblue: '#483d8b', darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1',
+  darkviolet: '#9400d3', deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969', dimgrey: '#696969',
+  dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0', forestgreen: '#228b22', fuchsia: '#ff00ff',
+  gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff', gold: '#ffd700', goldenrod: '#daa520', gray: '#808080',
+  green: '#008000', greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4',
+  indianred: '#cd5c5c', indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c', lavender: '#e6e6fa',
+  lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd', lightblue: '#add8e6',
+  lightcoral: '#f08080', lightcyan: '#e0ffff', lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3',
+  lightgreen: '#90ee90', lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a',
+  lightseagreen: '#20b2aa', lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+  lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32', linen: '#faf0e6',
+  magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa', mediumblue: '#0000cd', mediumorchid: '#ba55d3',
+  mediumpurple: '#9370db', mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a',
+  mediumturquoise: '#48d1cc', mediumvioletred: '#c71585', midnightblue: '#191970', mintcream: '#f5fffa',
+  mistyrose: '#ffe4e1', moccasin: '#ffe4b5', navajowhite: '#ffdead', navy: '#000080', oldlace: '#fdf5e6',
+  olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500', orangered: '#ff4500', orchid: '#da70d6',
+  palegoldenrod: '#eee8aa', palegreen: '#98fb98', paleturquoise: '#afeeee', palevioletred: '#db7093',
+  papayawhip: '#ffefd5', peachpuff: '#ffdab9', peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd',
+  powderblue: '#b0e0e6', purple: '#800080', rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f',
+  royalblue: '#4169e1', saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+  seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb', slateblue: '#6a5acd',
+  slategray: '#708090', slategrey: '#708090', snow: '#fffafa', springgreen: '#00ff7f', steelblue: '#4682b4',
+  tan: '#d2b48c', teal: '#008080', thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee',
+  wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00', yellowgreen: '#9acd32'
+};
+function createSearchPanel() {
+  searchPanel = createDiv();
+  searchPanel.class('panel search');
+  searchPanel.hide();
+
+  createDiv('Search').class('panel-title').parent(searchPanel);
+  searchInput = createInput('');
+  searchInput.parent(searchPanel);
+  searchInput.attribute('placeholder', 'label, /regex/ or degree > 3');
+  searchInput.input(() => {
+    searchRevision = -1;
+    searchIndex = -1;
+  });
+  // Enter and Escape belong to the search box while it has focus
+  searchInput.elt.addEventListener('keydown', handleSearchKey);
+  searchStatus = createDiv('').class('search-status').parent(searchPanel);
+
+  const field = createElement('label', 'Others');
+  field.parent(searchPanel);
+  searchModeSelect = createSelect();
+  searchModeSelect.option('Fade');
+  searchModeSelect.option('Hide');
+  searchModeSelect.parent(field);
+  searchModeSelect.changed(() => isSearchHiding = searchModeSelect.value() === 'Hide');
+
+  const actions = createDiv().class('panel-actions').parent(searchPanel);
+  createButton('Next').parent(actions).mousePressed(() => stepSearch(1));
+  createButton('Select matches').parent(actions).mousePressed(selectSearchMatches);
+  createButton('Close').parent(actions).mousePressed(toggleSearch);
+}
+function toggleSearch() {
+  isSearchOpen = !isSearchOpen;
+  searchRevision = -1;
+  searchIndex = -1;
+  if (isSearchOpen) {
+    searchPanel.show();
+    searchInput.elt.focus();
+  } else {
+    searchMatches = null;
+    searchInput.elt.blur();
+    searchPanel.hide();
+  }
+}
+function handleSearchKey(event) {
+  if (event.key === 'Enter') stepSearch(event.shiftKey ? -1 : 1);
+  else if (event.key === 'Escape') toggleSearch();
+  else return;
+  event.preventDefault();
+}
+function updateSearch() {
+  if (!isSearchOpen || searchRevision === graphRevision) return;
+  searchRevision = graphRevision;
+
+  const query = searchInput.value().trim();
+  searchMatches = null;
+  searchError = null;
+  if (query) {
+    try {
+      const test = parseSearch(query);
+      searchMatches = new Set(nodes.filter(test));
+    } catch (error) {
+      searchError = error.message;
+    }
+  }
+  if (!searchMatches || searchIndex >= searchMatches.size) searchIndex = -1;
+  renderSearchStatus();
+}
+function renderSearchStatus() {
+  let status = "";
+  if (searchError) status = "Error: " + searchError;
+  else if (searchMatches) status = `${searchMatches.size} of ${nodes.length} node${nodes.length === 1 ? "" : "s"} match`;
+  if (searchIndex >= 0) status += `, showing ${searchIndex + 1}`;
+  searchStatus.html(escapeXml(status));
+}
+function parseSearch(query) {
+  // Returns node => whether it matches; throws on a broken regex
+  const regex = query.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    const pattern = new RegExp(regex[1], regex[2].replace(/[gy]/g, "")); // test() with g or y would skip matches
+    return node => pattern.test(node.label);
+  }
+
+  // Only a query that is all conditions is a filter, "node 37" is just a label
+  const alternatives = query.split(/\s+or\s+/i).map(part => part.split(/\s+and\s+/i));
+  if (alternatives.flat().every(condition => SEARCH_CONDITION.test(condition))) {
+    const tests = alternatives.map(conditions => conditions.map(parseSearchCondition));
+    return node => tests.some(all => all.every(test => test(node)));
+  }
+
+  const text = query.toLowerCase();
+  return node => String(node.label).toLowerCase().includes(text);
+}
+function parseSearchCondition(condition) {
+  const [, name, operator, text] = condition.match(SEARCH_CONDITION);
+  if (text === "") throw new Error(`"${condition.trim()}" needs a value.`);
+  const field = name.toLowerCase();
+  const getValue = SEARCH_FIELDS[field] || (node => node.attributes[name]);
+
+  if (operator === '~') {
+    if (field === 'color') throw new Error(`Colors can't be searched with ~, try "${name} = ${text}".`);
+    // Contains, as a case-insensitive regex
+    const pattern = new RegExp(text, 'i');
+    return node => {
+      const value = getValue(node);
+      return value !== undefined && pattern.test(String(value));
+    };
+  }
+  const expected = field === 'color' ? toColorKey(text) : text;
+  return node => compareSearchValue(getValue(node), operator, expected);
+}
+function compareSearchValue(value, operator, expected) {
+  // Numbers compare as numbers, anything else as case-insensitive text; a missing
+  // attribute only matches "!="
+  if (value === undefined || value === null) return operator === '!=';
+  const a = Number(value);
+  const b = Number(expected);
+  const isNumeric = String(value).trim() !== "" && Number.isFinite(a) && Number.isFinite(b);
+  if (operator === '=' || operator === '!=') {
+    const isEqual = isNumeric ? a === b : String(value).toLowerCase() === expected.toLowerCase();
+    return isEqual === (operator === '=');
+  }
+  if (!isNumeric) return false;
+  if (operator === '>') return a > b;
+  if (operator === '<') return a < b;
+  if (operator === '>=') return a >= b;
+  return a <= b;
+}
+function toColorKey(value) {
+  // "#rgb", "#rrggbb" and color names as "#rrggbb", anything else as lowercase text
+  const text = String(value).trim().toLowerCase();
+  if (/^#[0-9a-f]{6}$/.test(text)) return text;
+  if (/^#[0-9a-f]{3}$/.test(text)) return "#" + [...text.slice(1)].map(digit => digit + digit).join("");
+  return Object.hasOwn(CSS_COLORS, text) ? CSS_COLORS[text] : text;
+}
+function stepSearch(direction) {
+  // Centers the next (or previous) match
+  if (!searchMatches || searchMatches.size === 0) return;
+  const list = [...searchMatches];
+  searchIndex = searchIndex < 0 && direction < 0
+    ? list.length - 1
+    : (searchIndex + direction + list.length) % list.length;
+  centerOnNode(list[searchIndex]);
+  renderSearchStatus();
+}
+function selectSearchMatches() {
+  if (!searchMatches || searchMatches.size === 0) {
+    createToast("Nothing matches.");
+    return;
+  }
+  selection = new Set(searchMatches);
+  selectedNode = selection.size === 1 ? [...selection][0] : null;
+  selectedEdge = null;
+}
+function isFadedBySearch(node) {
+  return searchMatches !== null && !isSearchHiding && !searchMatches.has(node);
+}
+function isHiddenBySearch(node) {
+  return searchMatches !== null && isSearchHiding && !searchMatches.has(node);
+}
+function drawSearchMarkers() {
+  if (!searchMatches) return;
+  const current = searchIndex >= 0 ? [...searchMatches][searchIndex] : null;
+
+  noFill();
+  stroke(255, 220, 0);
+  for (const node of searchMatches) {
+    if (!node.isInView()) continue;
+    strokeWeight(node === current ? 4 : 2);
+    node.drawShape(node.getRadius() * 2 + 10);
+  }
+  strokeWeight(1);
+}
+// -------------------------------
+// STYLES
+// -------------------------------
+// How the graph looks: a theme for the canvas colors, the node shape and edge
+// line, and rules that color nodes, size nodes and widen edges from the data.
+// Rules only change the drawing, every node keeps its own color and radius.
+// The style is saved with the graph, but changing it isn't an undo step.
+function createStylePanel() {
+  stylePanel = createDiv();
+  stylePanel.class('panel');
+  stylePanel.hide();
+
+  createDiv('Style').class('panel-title').parent(stylePanel);
+  const titles = {
+    theme: 'Theme', nodeShape: 'Node shape', edgeLine: 'Edge line', edgeWidth: 'Edge width',
+    colorBy: 'Color nodes by', colorAttribute: 'Attribute', sizeBy: 'Size nodes by', sizeAttribute: 'Attribute',
+    widthBy: 'Edge width by',
+  };
+  for (const [name, title] of Object.entries(titles)) {
+    let input;
+    if (STYLE_OPTIONS[name]) {
+      input = createSelect();
+      for (const option of STYLE_OPTIONS[name]) input.option(option);
+      input.changed(readStylePanel);
+    } else if (name === 'edgeWidth') {
+      input = createInput('', 'number');
+      input.attribute('step', '0.5');
+      input.changed(readStylePanel);
+    } else {
+      input = createInput('');
+      input.attribute('placeholder', 'attribute name');
+      input.input(readStylePanel);
+    }
+    styleFields[name] = { input, field: createStyleField(title, input) };
+  }
+
+  const actions = createDiv().class('panel-actions').parent(stylePanel);
+  createButton('Reset style').parent(actions).mousePressed(() => setGraphStyle(STYLE_DEFAULTS));
+  createButton('Close').parent(actions).mousePressed(toggleStyle);
+  renderStylePanel();
+}
+function createStyleField(title, input) {
+  const field = createElement('label', title);
+  field.parent(stylePanel);
+  input.parent(field);
+  return field;
+}
+function toggleStyle() {
+  isStyleOpen = !isStyleOpen;
+  if (isStyleOpen) stylePanel.show();
+  else stylePanel.hide();
+}
+function readStylePanel() {
+  const next = {};
+  for (const [name, { input }] of Object.entries(styleFields)) next[name] = input.value();
+  // A width out of range keeps the current one
+  const width = Number(next.edgeWidth);
+  const [least, most] = EDGE_WIDTH_RANGE;
+  next.edgeWidth = Number.isFinite(width) && width >= least && width <= most ? width : graphStyle.edgeWidth;
+  setGraphStyle(next);
+}
+function renderStylePanel() {
+  // Only values that differ are written back, so typing in a field isn't disturbed
+  for (const [name, { input }] of Object.entries(styleFields)) {
+    if (String(input.value()) !== String(graphStyle[name])) input.value(graphStyle[name]);
+  }
+  // Attribute names only matter to the rules that use them
+  const isNeeded = { colorAttribute: graphStyle.colorBy === 'Attribute', sizeAttribute: graphStyle.sizeBy === 'Attribute' };
+  for (const [name, isShown] of Object.entries(isNeeded)) {
+    if (isShown) styleFields[name].field.show();
+    else styleFields[name].field.hide();
+  }
+}
+function setGraphStyle(next) {
+  graphStyle = { ...STYLE_DEFAULTS, ...next };
+  graphRevision++; // restyles the graph and autosaves the new style
+  renderStylePanel();
+}
+function cycleTheme() {
+  const themes = STYLE_OPTIONS.theme;
+  const theme = themes[(themes.indexOf(graphStyle.theme) + 1) % themes.length];
+  setGraphStyle({ ...graphStyle, theme });
+  createToast(`Theme: ${theme}`);
+}
+function getTheme() {
+  return THEMES[graphStyle.theme];
+}
+function updateStyles() {
+  if (styleCache.revision === graphRevision) return;
+  styleCache = {
+    revision: graphRevision,
+    colors: getRuleColors(),
+    radii: getRuleRadii(),
+    widths: getRuleWidths(),
+  };
+}
+function getRuleColors() {
+  // node -> color for every node the color rule covers
+  const colors = new Map();
+  const { colorBy, colorAttribute } = graphStyle;
+  if (colorBy === 'None') return colors;
+  if (colorBy === 'Component') {
+    getSpanningForest().components.forEach((component, i) => {
+      for (const node of component) colors.set(node, ANALYSIS_COLORS[i % ANALYSIS_COLORS.length]);
+    });
+    return colors;
+  }
+
+  // Numbers get a gradient, text one color per distinct value in sorted order
+  const values = getRuleValues(colorBy, colorAttribute);
+  const numbers = getRuleNumbers(values);
+  if (numbers.size === values.size) {
+    const spread = spreadRuleNumbers(numbers, [0, 1]);
+    for (const [node, t] of spread) colors.set(node, mixColors(STYLE_GRADIENT[0], STYLE_GRADIENT[1], t));
+    return colors;
+  }
+  const distinct = new Map([...new Set(values.values())].sort().map((value, i) => [value, i]));
+  for (const [node, value] of values) colors.set(node, ANALYSIS_COLORS[distinct.get(value) % ANALYSIS_COLORS.length]);
+  return colors;
+}
+function getRuleRadii() {
+  // node -> radius; only numbers count, other nodes keep their own
+  const { sizeBy, sizeAttribute } = graphStyle;
+  if (sizeBy === 'None') return new Map();
+  return spreadRuleNumbers(getRuleNumbers(getRuleValues(sizeBy, sizeAttribute)), STYLE_RADIUS_RANGE);
+}
+function getRuleWidths() {
+  if (graphStyle.widthBy === 'None') return new Map();
+  return spreadRuleNumbers(new Map(edges.map(edge => [edge, edge.weight])), STYLE_WIDTH_RANGE);
+}
+function getRuleValues(by, attribute) {
+  // node -> its degree or attribute value, nodes without the attribute are left out
+  const values = new Map();
+  const name = attribute.trim();
+  for (const node of nodes) {
+    if (by === 'Degree') values.set(node, graph.degree(node));
+    else if (node.attributes[name] !== undefined) values.set(node, node.attributes[name]);
+  }
+  return values;
+}
+function getRuleNumbers(values) {
+  // The values that are numbers, attributes hold them as text
+  const numbers = new Map();
+  for (const [key, value] of values) {
+    const number = typeof value === 'number' ? value : String(value).trim() === "" ? NaN : Number(value);
+    if (Number.isFinite(number)) numbers.set(key, number);
+  }
+  return numbers;
+}
+function spreadRuleNumbers(numbers, [low, high]) {
+  // Linearly from low to high; when they are all the same there is nothing to show
+  let least = Infinity;
+  let most = -Infinity;
+  for (const number of numbers.values()) {
+    least = min(least, number);
+    most = max(most, number);
+  }
+  const spread = new Map();
+  if (!(most > least)) return spread;
+  for (const [key, number] of numbers) spread.set(key, low + (high - low) * (number - least) / (most - least));
+  return spread;
+}
+function mixColors(from, to, t) {
+  // Between two #rrggbb colors, t = 0 is all the first one
+  const channel = (hex, i) => parseInt(hex.slice(1 + i * 2, 3 + i * 2), 16);
+  return "#" + [0, 1, 2].map(i => {
+    return round(lerp(channel(from, i), channel(to, i), t)).toString(16).padStart(2, "0");
+  }).join("");
+}
+// -------------------------------
+// TREE MODE
+// -------------------------------
+// In tree mode every edge points from a parent to its child. Connecting is limited
+// to what keeps the graph a forest, and every change lays the trees out top-down
+// below their roots. Siblings are ordered by x, so dragging a node past its sibling
+// reorders them; in binary trees a lone child keeps the side it is on. Collapsed
+// nodes hide everything below them and count as leaves.
+function handleTreeModeButton() {
+  if (isTreeMode) {
+    isTreeMode = false;
+    updateUIState();
+    return;
+  }
+
+  // Ignoring directions, the graph has to be a forest already
+  const forest = getSpanningForest();
+  if (findForestCycle(forest, () => true)) {
+    createToast("Error: Tree mode needs a graph without cycles, the Analysis panel shows one.", 5000);
+    return;
+  }
+
+  // Trees already pointing away from one root keep it, the others are pointed away
+  // from the selected node or their first node
+  const isTop = node => graph.edgesOf(node).every(edge => edge.b !== node);
+  const reversed = [];
+  for (const component of forest.components) {
+    const tops = component.filter(isTop);
+    const root = tops.length === 1 ? tops[0] : component.includes(selectedNode) ? selectedNode : component[0];
+    reversed.push(...getInwardEdges(root));
+  }
+  reverseEdges(reversed);
+
+  isTreeMode = true;
+  isLiveLayout = false;
+  commitLayoutMoves();
+  updateUIState();
+  saveState("Tree mode on");
+  if (reversed.length) createToast(`Tree mode on, turned ${reversed.length} edge(s) to point away from the root.`);
 }
-function regHotkey(keyCombo, action){
-  hotkeys[keyCombo.toLowerCase()] = action;
+function updateTreeMode() {
+  // Undo, loading or a rebuilt representation can bring back a cycle or a second parent
+  if (!isTreeMode || getTree().isValid) return;
+  isTreeMode = false;
+  updateUIState();
+  createToast("The graph is no longer a forest, tree mode is off.");
 }
-function getKeyCombo(k, c) { // It now accepts the key and keyCode as arguments
-  let parts = [];
+function setTreeRoot() {
+  if (!isTreeMode) {
+    createToast("Turn on tree mode first.");
+    return;
+  }
+  if (!selectedNode) {
+    createToast("Please select the new root first.");
+    return;
+  }
 
-  if (keyIsDown(CONTROL)) parts.push('ctrl');
-  if (keyIsDown(SHIFT)) parts.push('shift');
-  if (keyIsDown(ALT)) parts.push('alt');
+  // Only the edges on the way up to the old root change direction
+  const node = selectedNode;
+  const inward = getInwardEdges(node);
+  if (inward.length === 0) {
+    createToast(`Node ${node.id} is already a root.`);
+    return;
+  }
+  reverseEdges(inward);
+  saveState(`Set root ${node.id}`);
+  createToast(`Node ${node.id} is now the root.`);
+}
+function toggleCollapse() {
+  if (!isTreeMode) {
+    createToast("Turn on tree mode first.");
+    return;
+  }
+  if (!selectedNode) {
+    createToast("Please select a node first.");
+    return;
+  }
 
-  let primaryKey;
-  if (KEY_NAME_MAP[c]) {
-    primaryKey = KEY_NAME_MAP[c];
-  } else if (typeof k === 'string' && k.length === 1) {
-    primaryKey = k.toLowerCase();
+  const node = selectedNode;
+  if (!node.collapsed && getTree().children.get(node).length === 0) {
+    createToast(`Node ${node.id} has no children to collapse.`);
+    return;
   }
+  node.collapsed = !node.collapsed;
+  saveState(`${node.collapsed ? "Collapse" : "Expand"} node ${node.id}`);
+  selection = new Set([...selection].filter(selected => !isHiddenInTree(selected)));
+}
+function getTreeEdgeProblem(parent, child) {
+  // Why parent → child can't be added in tree mode, or null if it can
+  const tree = getTree();
+  const parentEdge = tree.parentEdge.get(child);
+  if (parentEdge) return `Node ${child.id} already has a parent (${parentEdge.a.id}).`;
 
+  // Without a parent the child is a root, so only its own tree's root closes a cycle
+  let root = parent;
+  while (tree.parentEdge.has(root)) root = tree.parentEdge.get(root).a;
+  if (root === child) return `Node ${child.id} is above node ${parent.id} in the tree, that would make a cycle.`;
+  return null;
+}
+function getTree() {
+  // { roots, parentEdge: node -> edge, children: node -> [nodes], order: roots first, then
+  //   level by level, size: node -> nodes in its subtree, hidden: Set, isBinary, isValid }
+  if (treeCache.revision === graphRevision) return treeCache.tree;
 
-  if (primaryKey) {
-    parts.push(primaryKey);
+  const parentEdge = new Map();
+  const children = new Map(nodes.map(node => [node, []]));
+  let isValid = true;
+  for (const edge of edges) {
+    if (parentEdge.has(edge.b)) isValid = false;
+    parentEdge.set(edge.b, edge);
+    children.get(edge.a).push(edge.b);
   }
+  const byX = (p, q) => p.tx - q.tx;
+  for (const list of children.values()) list.sort(byX);
+  const roots = nodes.filter(node => !parentEdge.has(node)).sort(byX);
 
-  return parts.join('+');
+  // With one parent each, the nodes no root reaches are on a cycle
+  const order = [];
+  const hidden = new Set();
+  if (isValid) {
+    order.push(...roots);
+    for (let i = 0; i < order.length; i++) {
+      const node = order[i];
+      for (const child of children.get(node)) {
+        order.push(child);
+        if (node.collapsed || hidden.has(node)) hidden.add(child);
+      }
+    }
+    isValid = order.length === nodes.length;
+  }
+  const size = new Map();
+  for (let i = order.length - 1; i >= 0; i--) {
+    let total = 1;
+    for (const child of children.get(order[i])) total += size.get(child);
+    size.set(order[i], total);
+  }
+  const isBinary = [...children.values()].every(list => list.length <= 2);
+
+  treeCache = { revision: graphRevision, tree: { roots, parentEdge, children, order, size, hidden, isBinary, isValid } };
+  return treeCache.tree;
 }
-function createToast(message, duration = 3000) {
-  toasts.push({
-    message,
-    createdAt: millis(),
-    duration,
-  });
+function isHiddenInTree(node) {
+  return isTreeMode && getTree().hidden.has(node);
 }
-// -------------------------------
-// HISTORY MANAGEMENT
-// -------------------------------
-function createSnapshot() {
-  const snapshotNodes = nodes.map(n => {
-    // Create a new object for each node to break references
-    return {
-      x: n.x,
-      y: n.y,
-      id: n.id,
-      label: n.label,
-      // Add any other properties you want to save per node
-      speed: n.speed,
-      friction: n.friction,
-      tx: n.tx,
-      ty: n.ty
-    };
-  });
+function isEdgeHiddenInTree(edge) {
+  return isHiddenInTree(edge.a) || isHiddenInTree(edge.b);
+}
+function isLeftChild(tree, child) {
+  return child.tx <= tree.parentEdge.get(child).a.tx;
+}
+function getInwardEdges(root) {
+  // The edges of root's tree that point towards root instead of away from it
+  const seen = new Set([root]);
+  const queue = [root];
+  const inward = [];
+  for (let i = 0; i < queue.length; i++) {
+    const u = queue[i];
+    for (const edge of graph.edgesOf(u)) {
+      const v = edge.other(u);
+      if (seen.has(v)) continue;
+      seen.add(v);
+      queue.push(v);
+      if (edge.a !== u) inward.push(edge);
+    }
+  }
+  return inward;
+}
+function reverseEdges(list) {
+  // History keeps the ends of an edge fixed, so each one is replaced by a reversed copy in its place
+  const index = new Map(edges.map((edge, i) => [edge, i]));
+  const reversed = list.map(edge => ({ index: index.get(edge), edge: new Edge(edge.b, edge.a, edge.weight, edge.label, edge.capacity) }));
+  graph.removeEdges(list);
+  for (const { index, edge } of reversed.sort((p, q) => p.index - q.index)) graph.addEdge(edge, index);
+}
+function layoutTree() {
+  // Reingold-Tilford: lay out each subtree on its own, push sibling subtrees together
+  // until they are one unit apart at every depth, and center the parent above its
+  // children. Roots stay where they are; hidden nodes travel with their collapsed ancestor.
+  const tree = getTree();
+  if (!tree.isValid) return;
+  let unit = TREE_SIBLING_GAP;
+  for (const node of nodes) unit = max(unit, node.getRadius() * 2 + 10);
 
-  // Edges are more complex because they reference nodes. We'll save them by node ID.
-  const snapshotEdges = edges.map(([nodeA, nodeB]) => {
-    return [nodeA.id, nodeB.id];
-  });
+  const offset = new Map();   // node -> x relative to its parent
+  const contours = new Map(); // node -> contour of its visible subtree
+  for (let i = tree.order.length - 1; i >= 0; i--) {
+    const node = tree.order[i];
+    if (tree.hidden.has(node)) continue;
+    const kids = node.collapsed ? [] : tree.children.get(node);
+    if (kids.length === 0) {
+      contours.set(node, { left: { values: [0], shift: 0 }, right: { values: [0], shift: 0 } });
+      continue;
+    }
+
+    const { xs, joint } = packSubtrees(kids.map(kid => contours.get(kid)), unit);
+    let center = (xs[0] + xs[xs.length - 1]) / 2;
+    if (kids.length === 1 && tree.isBinary) center += isLeftChild(tree, kids[0]) ? unit / 2 : -unit / 2;
+    kids.forEach((kid, j) => offset.set(kid, xs[j] - center));
 
-  return { nodes: snapshotNodes, edges: snapshotEdges };
+    // The parent's own level goes on top
+    for (const side of [joint.left, joint.right]) {
+      side.shift -= center;
+      side.values.push(-side.shift);
+    }
+    contours.set(node, joint);
+  }
+
+  const moved = new Map();
+  for (const node of tree.order) {
+    const edge = tree.parentEdge.get(node);
+    if (!edge) {
+      moved.set(node, { x: 0, y: 0 });
+      continue;
+    }
+    let move = moved.get(edge.a);
+    if (!tree.hidden.has(node)) {
+      move = { x: edge.a.tx + offset.get(node) - node.tx, y: edge.a.ty + TREE_LEVEL_GAP - node.ty };
+    }
+    node.tx += move.x;
+    node.ty += move.y;
+    moved.set(node, move);
+  }
 }
-function restoreFromSnapshot(snapshot) {
-  // Clear out any lingering state
-  selectedNode = null;
-  draggedNode = null;
-  hoveredNode = null;
-  isConnectingNode = false;
+function packSubtrees(contours, unit) {
+  // Puts subtrees side by side as close as they fit: their x, the first one at 0, and their joint contour.
+  // A contour lists the leftmost and rightmost x per depth, deepest first, each side with a
+  // shift added to all of its values, so moving or topping a contour doesn't touch the rest.
+  const at = (side, depth) => side.values[side.values.length - 1 - depth] + side.shift;
+  const merge = (front, back) => {
+    // front where both reach, back below that; reusing the longer one keeps this cheap
+    if (front.values.length >= back.values.length) return front;
+    for (let d = 0; d < front.values.length; d++) back.values[back.values.length - 1 - d] = at(front, d) - back.shift;
+    return back;
+  };
 
-  // Restore nodes
-  nodes = snapshot.nodes.map(nData => {
-    // Recreate Node objects from the snapshot data
-    const newNode = new Node(nData.x, nData.y, nData.id);
-    // Restore other properties
-    Object.assign(newNode, nData);
-    return newNode;
+  const xs = [0];
+  let joint = contours[0];
+  for (const contour of contours.slice(1)) {
+    let x = -Infinity;
+    const depth = min(joint.right.values.length, contour.left.values.length);
+    for (let d = 0; d < depth; d++) x = max(x, at(joint.right, d) - at(contour.left, d) + unit);
+    xs.push(x);
+    contour.left.shift += x;
+    contour.right.shift += x;
+    joint = { left: merge(joint.left, contour.left), right: merge(contour.right, joint.right) };
+  }
+  return { xs, joint };
+}
+function drawTreeMarkers() {
+  // "+3" on a collapsed node: how many nodes it hides
+  if (!isTreeMode) return;
+  const tree = getTree();
+  fill(0);
+  noStroke();
+  textSize(12);
+  textAlign(CENTER, CENTER);
+  for (const node of nodes) {
+    if (!node.collapsed || !node.isInView()) continue;
+    const count = tree.size.get(node) - 1;
+    if (count > 0) text(`+${count}`, node.x, node.y);
+  }
+}
+function startTreeTraversal() {
+  if (!isTreeMode) {
+    createToast("Turn on tree mode first.");
+    return;
+  }
+  if (nodes.length === 0) {
+    createToast("Add some nodes first.");
+    return;
+  }
+
+  // The selected subtree, or every tree
+  const tree = getTree();
+  const kind = treeTraversalSelect.value();
+  const starts = selectedNode ? [selectedNode] : tree.roots;
+  const title = selectedNode ? `${kind} from ${selectedNode.id}` : kind;
+  startPlayback(title, "Visit order", buildTreeTraversalSteps(kind, starts, tree));
+}
+function buildTreeTraversalSteps(kind, starts, tree) {
+  const steps = [];
+  const changes = [];
+  const status = new StepMap('status', changes);       // node id -> 'frontier' | 'visited'
+  const edgeKinds = new StepMap('edgeKinds', changes); // edge key -> 'tree'
+  const visited = [];
+
+  // Steps show the latest visits, only the last one keeps the whole order
+  const record = (current, message, container = summarizeContainer(visited, 0, true)) => steps.push({
+    changes: changes.splice(0),
+    container,
+    current: current ? current.id : null,
+    message,
   });
+  const childrenOf = node => node.collapsed ? [] : tree.children.get(node);
+  const reach = node => {
+    status.set(node.id, 'frontier');
+    const edge = tree.parentEdge.get(node);
+    if (edge && status.has(edge.a.id)) edgeKinds.set(edge.key(), 'tree');
+  };
+  const visit = (node, message) => {
+    status.set(node.id, 'visited');
+    visited.push(node);
+    record(node, message);
+  };
 
-  // Restore edges by finding the new node objects by their ID
-  edges = snapshot.edges.map(([idA, idB]) => {
-    const nodeA = nodes.find(n => n.id === idA);
-    const nodeB = nodes.find(n => n.id === idB);
-    // Only create the edge if both nodes were found
-    return (nodeA && nodeB) ? [nodeA, nodeB] : null;
-  }).filter(e => e !== null); // Filter out any null edges
+  if (kind === 'Level order') {
+    const queue = [...starts];
+    for (const node of queue) reach(node);
+    for (let i = 0; i < queue.length; i++) {
+      const node = queue[i];
+      const kids = childrenOf(node);
+      for (const kid of kids) {
+        reach(kid);
+        queue.push(kid);
+      }
+      visit(node, kids.length ? `Visit ${node.id}, queue ${kids.map(kid => kid.id).join(", ")}` : `Visit ${node.id}`);
+    }
+  } else {
+    // Entering a node schedules its children and its own visit in the order the traversal wants
+    const stack = [...starts].reverse().map(node => ({ node, isVisit: false }));
+    while (stack.length) {
+      const { node, isVisit } = stack.pop();
+      if (isVisit) {
+        visit(node, `Visit ${node.id}`);
+        continue;
+      }
 
-  updateUIState(); // Refresh UI to reflect any changes
+      const kids = childrenOf(node);
+      let before = 0; // children visited before the node itself
+      if (kind === 'Postorder') before = kids.length;
+      else if (kind === 'Inorder') {
+        // Left subtree, node, right subtree; wider nodes put their first child on the left
+        before = kids.length === 1 && tree.isBinary && !isLeftChild(tree, kids[0]) ? 0 : min(1, kids.length);
+      }
+      reach(node);
+      if (before > 0) {
+        const first = kids.slice(0, before).map(kid => kid.id).join(", ");
+        record(node, `Reach ${node.id}, ${before === 1 ? `its child ${first} comes` : `its children ${first} come`} first`);
+      }
+      const actions = [
+        ...kids.slice(0, before).map(kid => ({ node: kid, isVisit: false })),
+        { node, isVisit: true },
+        ...kids.slice(before).map(kid => ({ node: kid, isVisit: false })),
+      ];
+      stack.push(...actions.reverse());
+    }
+  }
+
+  record(null, `Done: visited ${visited.length} node${visited.length === 1 ? "" : "s"}`, visited.map(node => node.id));
+  return steps;
 }
-function saveState() {
-  // Clear the redo stack because we've started a new history branch
-  redoStack = [];
 
-  undoStack.push(createSnapshot());
+// -------------------------------
+// GRAPH GENERATORS
+// -------------------------------
+// A generator returns node positions in units of the ideal edge length (or null to
+// let the force layout place them) and its edges as [i, j] index pairs, i → j in
+// directed graphs. The result lands at the center of the view as one history step.
+const GENERATOR_PARAMS = {
+  n: { label: 'Size (n)', min: 1, max: GENERATOR_MAX_NODES, isInteger: true },
+  m: { label: 'Size (m)', min: 1, max: GENERATOR_MAX_NODES, isInteger: true },
+  p: { label: 'Chance (p)', min: 0, max: 1, isInteger: false },
+  k: { label: 'Edges each (k)', min: 1, max: 50, isInteger: true },
+  d: { label: 'Dimension (d)', min: 1, max: 12, isInteger: true },
+};
+const GENERATORS = { // params: the defaults, plus limits that differ from GENERATOR_PARAMS
+  'Complete Kₙ': { params: { n: { value: 6 } }, title: ({ n }) => `K${n}`, build: generateComplete },
+  'Cycle Cₙ': { params: { n: { value: 8, min: 3 } }, title: ({ n }) => `C${n}`, build: generateCycle },
+  'Path Pₙ': { params: { n: { value: 6 } }, title: ({ n }) => `P${n}`, build: generatePath },
+  'Star': { params: { n: { value: 7, min: 2 } }, title: ({ n }) => `star of ${n}`, build: generateStar },
+  'Wheel': { params: { n: { value: 7, min: 4 } }, title: ({ n }) => `wheel of ${n}`, build: generateWheel },
+  'Grid m×n': { params: { m: { value: 4 }, n: { value: 5 } }, title: ({ m, n }) => `${m}×${n} grid`, build: generateGrid },
+  'Complete bipartite Kₘ,ₙ': { params: { m: { value: 3 }, n: { value: 4 } }, title: ({ m, n }) => `K${m},${n}`, build: generateCompleteBipartite },
+  'Random G(n, p)': { params: { n: { value: 12 }, p: { value: 0.25 } }, title: ({ n, p }) => `G(${n}, ${p})`, build: generateRandom },
+  'Barabási–Albert': { params: { n: { value: 20, min: 2 }, k: { value: 2 } }, title: ({ n, k }) => `Barabási–Albert (${n}, ${k})`, build: generateBarabasiAlbert },
+  'Random tree': { params: { n: { value: 12 } }, title: ({ n }) => `random tree of ${n}`, build: generateRandomTree },
+  'Hypercube Q_d': { params: { d: { value: 3 } }, title: ({ d }) => `Q${d}`, build: generateHypercube },
+  'Petersen': { params: {}, title: () => "Petersen graph", build: generatePetersen },
+};
+function createGeneratorPanel() {
+  generatorPanel = createDiv();
+  generatorPanel.class('panel');
+  generatorPanel.hide();
 
-  if (undoStack.length > HISTORY_LIMIT) {
-    undoStack.shift(); // Remove the oldest item
+  createDiv('Generate').class('panel-title').parent(generatorPanel);
+  generatorSelect = createSelect();
+  for (const name of Object.keys(GENERATORS)) generatorSelect.option(name);
+  generatorSelect.changed(updateGeneratorFields);
+  createGeneratorField('Graph', generatorSelect);
+  for (const [name, param] of Object.entries(GENERATOR_PARAMS)) {
+    const input = createInput('', 'number');
+    input.attribute('step', param.isInteger ? '1' : '0.05');
+    generatorFields[name] = { input, field: createGeneratorField(param.label, input) };
   }
+
+  const actions = createDiv().class('panel-actions').parent(generatorPanel);
+  createButton('Replace graph').parent(actions).mousePressed(() => generateGraph(true));
+  createButton('Add to graph').parent(actions).mousePressed(() => generateGraph(false));
+  createButton('Close').parent(actions).mousePressed(toggleGenerator);
+  updateGeneratorFields();
 }
-function saveGraph() {
-  const snapshot = createSnapshot();
-  const jsonString = JSON.stringify(snapshot, null, 2);
-  saveJSON(snapshot, 'my-tiny-graph.json');
-  createToast("Graph saved as my-tiny-graph.json");
+function createGeneratorField(title, input) {
+  const field = createElement('label', title);
+  field.parent(generatorPanel);
+  input.parent(field);
+  return field;
 }
-function undo() {
-  if (undoStack.length <= 1) { // Can't undo the initial empty state
-    createToast("Nothing to undo.");
-    return;
+function toggleGenerator() {
+  isGeneratorOpen = !isGeneratorOpen;
+  if (isGeneratorOpen) generatorPanel.show();
+  else generatorPanel.hide();
+}
+function updateGeneratorFields() {
+  // Only the chosen generator's parameters are shown, starting from its defaults
+  const generator = GENERATORS[generatorSelect.value()];
+  for (const [name, { input, field }] of Object.entries(generatorFields)) {
+    if (generator.params[name]) {
+      input.value(generator.params[name].value);
+      field.show();
+    } else {
+      field.hide();
+    }
   }
-
-  // Pop the current state off the undo stack and move it to the redo stack
-  const currentState = undoStack.pop();
-  redoStack.push(currentState);
-
-  // The new "current" state is now at the top of the undo stack
-  const prevState = undoStack[undoStack.length - 1];
-  restoreFromSnapshot(prevState);
 }
-function redo() {
-  if (redoStack.length === 0) {
-    createToast("Nothing to redo.");
+function generateGraph(isReplace) {
+  const generator = GENERATORS[generatorSelect.value()];
+  const values = {};
+  for (const [name, limits] of Object.entries(generator.params)) {
+    const param = { ...GENERATOR_PARAMS[name], ...limits };
+    const value = Number(generatorFields[name].input.value());
+    if (!Number.isFinite(value) || value < param.min || value > param.max || (param.isInteger && !Number.isInteger(value))) {
+      createToast(`Error: ${param.label} must be a ${param.isInteger ? "whole number" : "number"} from ${param.min} to ${param.max}.`);
+      return;
+    }
+    values[name] = value;
+  }
+
+  let generated;
+  try {
+    generated = generator.build(values);
+  } catch (error) {
+    createToast("Error: " + error.message, 5000);
     return;
   }
+  const { points, links } = generated;
+  const k = layoutLengthSlider.value();
+  const center = screenToWorld(width / 2, height / 2);
+  const count = points ? points.length : generated.count;
+  const positions = points
+    ? points.map(p => ({ x: p.x * k, y: p.y * k }))
+    : layoutNodes(new Array(count).fill(null), links, center);
+  moveCentroidTo(positions, center);
 
-  // Pop the state to restore from the redo stack
-  const nextState = redoStack.pop();
+  if (isReplace) graph.clear();
+  const added = positions.map(p => addNodeAt(p.x, p.y));
+  for (const [i, j] of links) graph.addEdge(new Edge(added[i], added[j]));
 
-  // Push it back onto the undo stack as it's now the "current" state
-  undoStack.push(nextState);
+  // Added graphs stay selected, ready to be dragged into place
+  selection = isReplace ? new Set() : new Set(added);
+  selectedNode = !isReplace && added.length === 1 ? added[0] : null;
+  const title = generator.title(values);
+  saveState(isReplace ? `Replace graph with ${title}` : `Generate ${title}`);
+  createToast(`Generated ${title}: ${count} node${count === 1 ? "" : "s"}, ${links.length} edge${links.length === 1 ? "" : "s"}.`);
+}
+function checkGeneratedSize(nodeCount, edgeCount) {
+  // Checked before building, a dense graph can be far too big to even list
+  if (nodeCount > GENERATOR_MAX_NODES) throw new Error(`That's ${nodeCount} nodes, the most is ${GENERATOR_MAX_NODES}.`);
+  if (edgeCount > GENERATOR_MAX_EDGES) throw new Error(`That's about ${round(edgeCount)} edges, the most is ${GENERATOR_MAX_EDGES}.`);
+}
+function getRingRadius(count) {
+  // Neighbours on the ring end up one unit apart
+  return count > 1 ? 0.5 / sin(PI / count) : 0;
+}
+function getRingPoints(count, radius = getRingRadius(count)) {
+  // Evenly spaced, the first one on top
+  return Array.from({ length: count }, (_, i) => ({
+    x: radius * cos(TWO_PI * i / count - HALF_PI),
+    y: radius * sin(TWO_PI * i / count - HALF_PI),
+  }));
+}
+function generateComplete({ n }) {
+  checkGeneratedSize(n, n * (n - 1) / 2);
+  const links = [];
+  for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) links.push([i, j]);
+  return { points: getRingPoints(n), links };
+}
+function generateCycle({ n }) {
+  const links = Array.from({ length: n }, (_, i) => [i, (i + 1) % n]);
+  return { points: getRingPoints(n), links };
+}
+function generatePath({ n }) {
+  const points = Array.from({ length: n }, (_, i) => ({ x: i, y: 0 }));
+  return { points, links: Array.from({ length: n - 1 }, (_, i) => [i, i + 1]) };
+}
+function generateStar({ n }) {
+  // The center is node 0
+  const points = [{ x: 0, y: 0 }, ...getRingPoints(n - 1, max(1, getRingRadius(n - 1)))];
+  return { points, links: Array.from({ length: n - 1 }, (_, i) => [0, i + 1]) };
+}
+function generateWheel({ n }) {
+  const { points, links } = generateStar({ n });
+  for (let i = 1; i < n; i++) links.push([i, i === n - 1 ? 1 : i + 1]);
+  return { points, links };
+}
+function generateGrid({ m, n }) {
+  checkGeneratedSize(m * n, 2 * m * n);
+  const points = [];
+  const links = [];
+  for (let row = 0; row < m; row++) {
+    for (let column = 0; column < n; column++) {
+      const i = row * n + column;
+      points.push({ x: column, y: row });
+      if (column + 1 < n) links.push([i, i + 1]);
+      if (row + 1 < m) links.push([i, i + n]);
+    }
+  }
+  return { points, links };
+}
+function generateCompleteBipartite({ m, n }) {
+  // Two rows, m on top and n below
+  checkGeneratedSize(m + n, m * n);
+  const points = [
+    ...Array.from({ length: m }, (_, i) => ({ x: i - (m - 1) / 2, y: 0 })),
+    ...Array.from({ length: n }, (_, j) => ({ x: j - (n - 1) / 2, y: 2 })),
+  ];
+  const links = [];
+  for (let i = 0; i < m; i++) for (let j = 0; j < n; j++) links.push([i, m + j]);
+  return { points, links };
+}
+function generateRandom({ n, p }) {
+  // Erdős–Rényi: every pair independently with chance p
+  checkGeneratedSize(n, p * n * (n - 1) / 2);
+  const links = [];
+  for (let i = 0; i < n; i++) for (let j = i + 1; j < n; j++) if (random() < p) links.push([i, j]);
+  return { points: null, count: n, links };
+}
+function generateBarabasiAlbert({ n, k }) {
+  // Starts from a complete graph on k + 1 nodes, then each new node links to k others,
+  // picked with chance proportional to their degree (every edge end is one ticket)
+  if (n <= k) throw new Error(`Barabási–Albert needs more nodes than edges per new node (${k}).`);
+  checkGeneratedSize(n, k * (k + 1) / 2 + (n - k - 1) * k);
+  const { links } = generateComplete({ n: k + 1 });
+  const tickets = links.flat();
+  for (let v = k + 1; v < n; v++) {
+    const targets = new Set();
+    while (targets.size < k) targets.add(random(tickets));
+    for (const u of targets) {
+      links.push([u, v]);
+      tickets.push(u, v);
+    }
+  }
+  return { points: null, count: n, links };
+}
+function generateRandomTree({ n }) {
+  // Uniformly random from a Prüfer sequence, then pointed away from node 0 so tree mode takes it as is
+  const pairs = [];
+  if (n === 2) pairs.push([0, 1]);
+  if (n > 2) {
+    const sequence = Array.from({ length: n - 2 }, () => floor(random(n)));
+    const degree = new Array(n).fill(1);
+    for (const v of sequence) degree[v]++;
+    let pointer = degree.indexOf(1);
+    let leaf = pointer;
+    for (const v of sequence) {
+      pairs.push([leaf, v]);
+      if (--degree[v] === 1 && v < pointer) {
+        leaf = v;
+      } else {
+        pointer++;
+        while (degree[pointer] !== 1) pointer++;
+        leaf = pointer;
+      }
+    }
+    pairs.push([leaf, n - 1]);
+  }
 
-  restoreFromSnapshot(nextState);
+  const neighbours = Array.from({ length: n }, () => []);
+  for (const [a, b] of pairs) {
+    neighbours[a].push(b);
+    neighbours[b].push(a);
+  }
+  const links = [];
+  const seen = new Set([0]);
+  const queue = [0];
+  for (let i = 0; i < queue.length; i++) {
+    for (const v of neighbours[queue[i]]) {
+      if (seen.has(v)) continue;
+      seen.add(v);
+      queue.push(v);
+      links.push([queue[i], v]);
+    }
+  }
+  return { points: null, count: n, links };
+}
+function generateHypercube({ d }) {
+  // Bit b of a node's index moves it one unit in direction b, spread over half a turn
+  const count = 2 ** d;
+  checkGeneratedSize(count, count * d / 2);
+  const points = [];
+  const links = [];
+  for (let i = 0; i < count; i++) {
+    const p = { x: 0, y: 0 };
+    for (let b = 0; b < d; b++) {
+      if (!(i & (1 << b))) continue;
+      p.x += cos(PI * b / d);
+      p.y += sin(PI * b / d);
+      links.push([i ^ (1 << b), i]);
+    }
+    points.push(p);
+  }
+  return { points, links };
+}
+function generatePetersen() {
+  // Outer pentagon, spokes, inner pentagram
+  const points = [...getRingPoints(5, 2), ...getRingPoints(5, 1)];
+  const links = [];
+  for (let i = 0; i < 5; i++) links.push([i, (i + 1) % 5], [i, i + 5], [5 + i, 5 + (i + 2) % 5]);
+  return { points, links };
 }
+
 // -------------------------------
-// FILE MANAGEMENT
+// FORCE LAYOUT
 // -------------------------------
-function handleFileLoad(file) {
-  if (file.type !== 'application' || file.subtype !== 'json') {
-    createToast("Error: Please select a valid .json file.");
-    return;
+// Fruchterman-Reingold: every pair repels with k²/d, every edge attracts with d²/k,
+// so connected nodes settle about k apart. The layout moves node targets (tx, ty)
+// and the node springs glide there, unless calm mode snaps them. Edges are given
+// as [i, j] index pairs into positions.
+function layoutStep(positions, links, k, temperature) {
+  const forces = positions.map(() => ({ x: 0, y: 0 }));
+  const repel = (i, j) => {
+    let dx = positions[i].x - positions[j].x;
+    let dy = positions[i].y - positions[j].y;
+    // Nudge coincident nodes apart in a stable direction
+    if (dx === 0 && dy === 0) dx = j - i;
+    const d = sqrt(dx * dx + dy * dy);
+    const force = k * k / d;
+    forces[i].x += dx / d * force;
+    forces[i].y += dy / d * force;
+    forces[j].x -= dx / d * force;
+    forces[j].y -= dy / d * force;
+  };
+
+  if (positions.length <= LAYOUT_EXACT_LIMIT) {
+    for (let i = 0; i < positions.length; i++) {
+      for (let j = i + 1; j < positions.length; j++) repel(i, j);
+    }
+  } else {
+    // Big graphs use the grid variant of Fruchterman-Reingold: only nodes within 2k repel
+    const grid = new SpatialGrid(2 * k);
+    positions.forEach((p, i) => grid.insert(i, p.x, p.y));
+    positions.forEach((p, i) => {
+      for (const j of grid.query(p.x, p.y, 2 * k)) {
+        if (j > i && dist(p.x, p.y, positions[j].x, positions[j].y) < 2 * k) repel(i, j);
+      }
+    });
   }
-  try {
-    const snapshot = JSON.parse(file.data);
-    restoreFromSnapshot(snapshot);
 
-    // reset values
-    home();
-    undoStack = [createSnapshot()];
-    redoStack = [];
+  for (const [i, j] of links) {
+    const dx = positions[i].x - positions[j].x;
+    const dy = positions[i].y - positions[j].y;
+    const d = sqrt(dx * dx + dy * dy);
+    if (d === 0) continue;
+    const force = d * d / k;
+    forces[i].x -= dx / d * force;
+    forces[i].y -= dy / d * force;
+    forces[j].x += dx / d * force;
+    forces[j].y += dy / d * force;
+  }
 
-    createToast("Graph loaded successfully!");
+  const center = getCentroid(positions);
+  let maxMove = 0;
+  positions.forEach((p, i) => {
+    const fx = forces[i].x + (center.x - p.x) * LAYOUT_GRAVITY * k / 10;
+    const fy = forces[i].y + (center.y - p.y) * LAYOUT_GRAVITY * k / 10;
+    const f = sqrt(fx * fx + fy * fy);
+    if (f === 0) return;
 
-  } catch (error) {
-    createToast("Error: Could not parse the JSON file.");
-    console.error("File loading error:", error);
+    // The temperature caps how far a node may move in one step
+    const move = min(f, temperature);
+    p.x += fx / f * move;
+    p.y += fy / f * move;
+    maxMove = max(maxMove, move);
+  });
+  return maxMove;
+}
+function getCentroid(positions) {
+  let x = 0;
+  let y = 0;
+  for (const p of positions) {
+    x += p.x;
+    y += p.y;
+  }
+  return { x: x / (positions.length || 1), y: y / (positions.length || 1) };
+}
+function moveCentroidTo(positions, point) {
+  const center = getCentroid(positions);
+  for (const p of positions) {
+    p.x += point.x - center.x;
+    p.y += point.y - center.y;
+  }
+}
+function getLayoutLinks() {
+  const index = new Map(nodes.map((node, i) => [node, i]));
+  return edges.map(edge => [index.get(edge.a), index.get(edge.b)]);
+}
+function settleLayout(positions, links, k, strength) {
+  // Start hot and cool down until no node moves noticeably
+  let temperature = strength * k;
+  let iterations = 0;
+  while (iterations < LAYOUT_MAX_ITERATIONS) {
+    iterations++;
+    const maxMove = layoutStep(positions, links, k, temperature);
+    if (maxMove < 0.1) break;
+    temperature *= 0.95;
+  }
+  return iterations;
+}
+function stepLiveLayout() {
+  if (nodes.length < 2) return;
+  const k = layoutLengthSlider.value();
+  const positions = nodes.map(node => ({ x: node.tx, y: node.ty }));
+
+  layoutStep(positions, getLayoutLinks(), k, layoutStrengthSlider.value() * k * 0.05);
+
+  const isDragged = node => draggedNode && (node === draggedNode || selection.has(draggedNode) && selection.has(node));
+  nodes.forEach((node, i) => {
+    if (isDragged(node)) return; // the mouse wins
+    node.tx = positions[i].x;
+    node.ty = positions[i].y;
+    recordLayoutMove(node);
+  });
+}
+function runLayoutUntilStable() {
+  if (nodes.length < 2) {
+    createToast("Add some nodes to lay out first.");
+    return;
   }
+
+  const k = layoutLengthSlider.value();
+  const positions = nodes.map(node => ({ x: node.tx, y: node.ty }));
+
+  const iterations = settleLayout(positions, getLayoutLinks(), k, layoutStrengthSlider.value());
+
+  // Keep the result centered in the current view
+  moveCentroidTo(positions, screenToWorld(width / 2, height / 2));
+  nodes.forEach((node, i) => {
+    node.tx = positions[i].x;
+    node.ty = positions[i].y;
+  });
+
+  saveState("Run layout");
+  createToast(`Layout settled after ${iterations} iterations.`);
 }
 // -------------------------------
 //  CLASSES
 // -------------------------------
+class StepMap extends Map {
+  // A Map that also logs every set as [name, key, value] and every delete as
+  // [name, key, undefined], for steps that keep changes only
+  constructor(name, changes) {
+    super();
+    this.name = name;
+    this.changes = changes;
+  }
+  set(key, value) {
+    this.changes.push([this.name, key, value]);
+    return super.set(key, value);
+  }
+  delete(key) {
+    if (this.has(key)) this.changes.push([this.name, key, undefined]);
+    return super.delete(key);
+  }
+}
+class SpatialGrid {
+  // Uniform grid bucketing items by position, so neighbour lookups skip far away items
+  constructor(cellSize) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+  key(cx, cy){
+    // Numeric keys are much faster than strings; far-apart cells may share a key,
+    // which only adds candidates that callers filter out by distance anyway
+    return (cx & 0xffff) * 0x10000 + (cy & 0xffff);
+  }
+  insert(item, x, y){
+    this.insertInCell(item, floor(x / this.cellSize), floor(y / this.cellSize));
+  }
+  insertSegment(item, x1, y1, x2, y2){
+    // Into every cell the segment crosses, walking from border to border (Amanatides & Woo)
+    let cx = floor(x1 / this.cellSize);
+    let cy = floor(y1 / this.cellSize);
+    let endX = floor(x2 / this.cellSize);
+    let endY = floor(y2 / this.cellSize);
+    let dx = x2 - x1;
+    let dy = y2 - y1;
+    let stepX = Math.sign(dx);
+    let stepY = Math.sign(dy);
+    // How far along the segment (0 to 1) the next vertical and horizontal borders are
+    let nextX = stepX ? ((cx + (stepX > 0 ? 1 : 0)) * this.cellSize - x1) / dx : Infinity;
+    let nextY = stepY ? ((cy + (stepY > 0 ? 1 : 0)) * this.cellSize - y1) / dy : Infinity;
+    let spanX = stepX ? this.cellSize / abs(dx) : Infinity;
+    let spanY = stepY ? this.cellSize / abs(dy) : Infinity;
+
+    this.insertInCell(item, cx, cy);
+    // Exactly one step per border crossed, so rounding can't make it wander off
+    for (let steps = abs(endX - cx) + abs(endY - cy); steps > 0; steps--) {
+      if (cx !== endX && (nextX < nextY || cy === endY)) {
+        cx += stepX;
+        nextX += spanX;
+      } else {
+        cy += stepY;
+        nextY += spanY;
+      }
+      this.insertInCell(item, cx, cy);
+    }
+  }
+  insertInCell(item, cx, cy){
+    let key = this.key(cx, cy);
+    let cell = this.cells.get(key);
+    if (!cell) {
+      cell = [];
+      this.cells.set(key, cell);
+    }
+    cell.push(item);
+  }
+  query(x, y, radius){
+    // Every item in a cell touching the square around (x, y); callers check exact distances
+    let found = [];
+    let minX = floor((x - radius) / this.cellSize);
+    let maxX = floor((x + radius) / this.cellSize);
+    let minY = floor((y - radius) / this.cellSize);
+    let maxY = floor((y + radius) / this.cellSize);
+    for (let cx = minX; cx <= maxX; cx++) {
+      for (let cy = minY; cy <= maxY; cy++) {
+        let cell = this.cells.get(this.key(cx, cy));
+        if (!cell) continue;
+        for (let item of cell) found.push(item);
+      }
+    }
+    return found;
+  }
+}
 class Node {
   constructor(x, y, id = "") {
     this.x = x;
@@ -710,10 +6535,21 @@ class Node {
     this.speed = 0.1;
     this.friction = 0.8;
 
+    this.color = "#ffffff";
+    this.attributes = {};
+    this.collapsed = false; // tree mode hides the subtree below
     this.labelVisible = isLabelsAlwaysVisible;
 
   }
   update(){
+    if (isCalmMode) {
+      this.x = this.tx;
+      this.y = this.ty;
+      this.vx = 0;
+      this.vy = 0;
+      return;
+    }
+
      // spring force
     let dx = this.tx - this.x;
     let dy = this.ty - this.y;
@@ -741,8 +6577,9 @@ class Node {
       let dy = this.y - other.y;
       let d = sqrt(dx * dx + dy * dy);
 
-      if (d < this.r * 2 && d > 0.1){
-        let overlap = this.r * 2 - d;
+      let reach = this.getRadius() + other.getRadius();
+      if (d < reach && d > 0.1){
+        let overlap = reach - d;
         let force = overlap * 0.5;
 
         dx /= d;
@@ -762,62 +6599,227 @@ class Node {
   applyBoundary(){
     const push_strength = 0.1;
     const {left, right, top, bottom} = worldBounds;
-    if(this.x - this.r < left){
-      let overshoot = left - this.x + this.r;
+    const r = this.getRadius();
+    if(this.x - r < left){
+      let overshoot = left - this.x + r;
       let force = overshoot * push_strength;
       this.vx += force;
     }
-    if(this.y - this.r < top){
-      let overshoot = top - this.y + this.r;
+    if(this.y - r < top){
+      let overshoot = top - this.y + r;
       let force = overshoot * push_strength;
       this.vy += force;
     }
-    if(this.x + this.r > right){
-      let overshoot = this.x + this.r - right;
+    if(this.x + r > right){
+      let overshoot = this.x + r - right;
       let force = overshoot * push_strength;
       this.vx -= force;
     }
-    if(this.y + this.r > bottom){
-      let overshoot = this.y + this.r - bottom;
+    if(this.y + r > bottom){
+      let overshoot = this.y + r - bottom;
       let force = overshoot * push_strength;
       this.vy -= force;
     }
   }
+  getRadius() {
+    // As drawn: a size rule may override the node's own radius
+    const r = styleCache.radii.get(this);
+    return r === undefined ? this.r : r;
+  }
+  getColor() {
+    const color = styleCache.colors.get(this);
+    return color === undefined ? this.color : color;
+  }
   isHovered() {
-    return dist(this.x, this.y, canvasX, canvasY) < this.r;
+    const r = this.getRadius();
+    const dx = abs(canvasX - this.x);
+    const dy = abs(canvasY - this.y);
+    if (graphStyle.nodeShape === 'Square') return max(dx, dy) < r;
+    if (graphStyle.nodeShape === 'Diamond') return dx + dy < r;
+    return dist(this.x, this.y, canvasX, canvasY) < r;
+  }
+  isInView() {
+    // Margin leaves room for the label drawn below the node; collapsed subtrees and
+    // nodes a search filter hides are never in view
+    if (isHiddenInTree(this) || isHiddenBySearch(this)) return false;
+    const r = this.getRadius();
+    return isRectInView(this.x - r, this.y - r, this.x + r, this.y + r, r * 2 + 20);
   }
   show() {
-    fill(255);
-    stroke(0);
-    ellipse(this.x, this.y, this.r * 2);
+    fill(this.getColor());
+    stroke(getTheme().nodeStroke);
+    this.drawShape(this.getRadius() * 2);
 
     if (this.labelVisible) this.drawLabel();
   }
+  drawShape(size) {
+    // size is the circle's diameter, the square's side or the diamond's diagonal
+    const half = size / 2;
+    if (graphStyle.nodeShape === 'Square') rect(this.x - half, this.y - half, size, size);
+    else if (graphStyle.nodeShape === 'Diamond') quad(this.x, this.y - half, this.x + half, this.y, this.x, this.y + half, this.x - half, this.y);
+    else ellipse(this.x, this.y, size);
+  }
   drawLabel() {
-    fill(255);
+    fill(getTheme().label);
     noStroke();
     textAlign(CENTER, CENTER);
-    text(this.label, this.x, this.y + this.r * 2);
+    text(this.label, this.x, this.y + this.getRadius() * 2);
   }
   highlight(type) {
+    const theme = getTheme();
+    const size = this.getRadius() * 2 + 7;
     if (type === "drag") {
       noFill();
-      stroke(0, 255, 0);
-      ellipse(this.x, this.y, this.r * 2 + 7);
+      stroke(theme.drag);
+      this.drawShape(size);
     }
 
     if (type === "hover") {
       noFill();
-      stroke(120);
-      ellipse(this.x, this.y, this.r * 2 + 7);
+      stroke(theme.hover);
+      this.drawShape(size);
       this.drawLabel();
     }
 
     if (type === "select") {
       noFill();
-      stroke(255);
-      ellipse(this.x, this.y, this.r * 2 + 7);
+      stroke(theme.select);
+      this.drawShape(size);
       this.drawLabel();
     }
   }
 }
+
+class Edge {
+  constructor(a, b, weight = 1, label = "", capacity = null) {
+    this.a = a;
+    this.b = b;
+    this.weight = weight;
+    this.label = label;
+    this.capacity = capacity; // max-flow capacity, null follows the weight
+  }
+  key(){
+    return this.a.id + ">" + this.b.id;
+  }
+  reverseKey(){
+    return this.b.id + ">" + this.a.id;
+  }
+  name(){
+    return this.a.id + (graph.directed ? " → " : " — ") + this.b.id;
+  }
+  hasNode(node){
+    return this.a === node || this.b === node;
+  }
+  connects(from, to){
+    if (this.a === from && this.b === to) return true;
+    return !graph.directed && this.a === to && this.b === from;
+  }
+  other(node){
+    return node === this.a ? this.b : this.a;
+  }
+  isInView(){
+    if (isEdgeHiddenInTree(this) || isHiddenBySearch(this.a) || isHiddenBySearch(this.b)) return false;
+    return isRectInView(
+      min(this.a.x, this.b.x), min(this.a.y, this.b.y),
+      max(this.a.x, this.b.x), max(this.a.y, this.b.y),
+      30
+    );
+  }
+  isPaired(){
+    return pairedEdgeKeys.keys.has(this.reverseKey());
+  }
+  getSegment(){
+    let dx = this.b.x - this.a.x;
+    let dy = this.b.y - this.a.y;
+    let d = sqrt(dx * dx + dy * dy) || 1;
+    let ux = dx / d;
+    let uy = dy / d;
+
+    // Shift sideways so reciprocal edges don't overlap
+    let shift = this.isPaired() ? 6 : 0;
+    let px = -uy * shift;
+    let py = ux * shift;
+
+    // Directed edges stop at the target's rim so the arrowhead stays visible
+    let trim = graph.directed ? min(this.b.getRadius(), d) : 0;
+
+    return {
+      x1: this.a.x + px,
+      y1: this.a.y + py,
+      x2: this.b.x - ux * trim + px,
+      y2: this.b.y - uy * trim + py,
+      ux, uy,
+    };
+  }
+  distanceTo(px, py){
+    // Distance from a point to the drawn line segment
+    let {x1, y1, x2, y2} = this.getSegment();
+    let dx = x2 - x1;
+    let dy = y2 - y1;
+    let lengthSq = dx * dx + dy * dy;
+    let t = lengthSq ? constrain(((px - x1) * dx + (py - y1) * dy) / lengthSq, 0, 1) : 0;
+    return dist(px, py, x1 + t * dx, y1 + t * dy);
+  }
+  getWidth(){
+    // As drawn: the style's edge width, unless a width rule sets one
+    const width = styleCache.widths.get(this);
+    return width === undefined ? graphStyle.edgeWidth : width;
+  }
+  show(){
+    let {x1, y1, x2, y2, ux, uy} = this.getSegment();
+
+    stroke(getTheme().edge);
+    strokeWeight(this.getWidth());
+    if (graphStyle.edgeLine === 'Dashed') drawingContext.setLineDash([8, 6]);
+    line(x1, y1, x2, y2);
+    drawingContext.setLineDash([]);
+    strokeWeight(1);
+
+    if (graph.directed) this.drawArrowhead(x2, y2, ux, uy);
+    const flowCaption = getFlowCaption(this);
+    if (flowCaption) this.drawLabel(x1, y1, x2, y2, ux, uy, flowCaption);
+    else if (graph.weighted || this.label) this.drawLabel(x1, y1, x2, y2, ux, uy);
+  }
+  highlight(type){
+    let {x1, y1, x2, y2} = this.getSegment();
+    if (type === "hover") stroke(getTheme().hover);
+    if (type === "select") stroke(getTheme().select);
+    strokeWeight(max(4, this.getWidth() + 3));
+    line(x1, y1, x2, y2);
+    strokeWeight(1);
+  }
+  getArrowPoints(x, y, ux, uy){
+    const size = 10;
+    let bx = x - ux * size;
+    let by = y - uy * size;
+    return [
+      { x, y },
+      { x: bx - uy * size / 2, y: by + ux * size / 2 },
+      { x: bx + uy * size / 2, y: by - ux * size / 2 },
+    ];
+  }
+  getCaption(){
+    if (graph.weighted) return this.label ? `${this.label} (${this.weight})` : String(this.weight);
+    return this.label;
+  }
+  getLabelPoint({x1, y1, x2, y2, ux, uy}){
+    // Just beside the midpoint, on the edge's left-hand side
+    return { x: (x1 + x2) / 2 - uy * 12, y: (y1 + y2) / 2 + ux * 12 };
+  }
+  drawArrowhead(x, y, ux, uy){
+    let [tip, left, right] = this.getArrowPoints(x, y, ux, uy);
+
+    fill(getTheme().edge);
+    noStroke();
+    triangle(tip.x, tip.y, left.x, left.y, right.x, right.y);
+  }
+  drawLabel(x1, y1, x2, y2, ux, uy, caption = this.getCaption()){
+    let point = this.getLabelPoint({x1, y1, x2, y2, ux, uy});
+
+    fill(getTheme().edgeLabel);
+    noStroke();
+    textSize(12);
+    textAlign(CENTER, CENTER);
+    text(caption, point.x, point.y);
+  }
+}
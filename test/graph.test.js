@@ -0,0 +1,73 @@
+// The graph model on its own, no browser or p5 needed:
+//
+//   node test/graph.test.js
+const assert = require('assert');
+const { Graph } = require('../graph.js');
+
+// Nodes get increasing ids, unless they bring their own
+let graph = new Graph();
+const a = graph.addNode({ label: "a" });
+const b = graph.addNode({ label: "b" });
+const c = graph.addNode({ id: 10 });
+const d = graph.addNode();
+assert.deepStrictEqual([a.id, b.id, c.id, d.id], [1, 2, 10, 11]);
+assert.strictEqual(graph.getNode(10), c);
+assert.throws(() => graph.addNode({ id: 2 }), /already a node with id 2/);
+assert.throws(() => graph.addNode({ id: 0 }), /positive whole number/);
+assert.throws(() => graph.addNode(a), /already in the graph/);
+
+// Edges take nodes or ids; no self-loops, no parallel edges
+const ab = graph.addEdge({ a, b: 2, weight: 3 });
+assert.strictEqual(ab.b, b);
+graph.addEdge({ a: b, b: c });
+assert.throws(() => graph.addEdge({ a, b: a }), /self-loop/);
+assert.throws(() => graph.addEdge({ a: 1, b: 99 }), /isn't in the graph/);
+assert.throws(() => graph.addEdge(ab), /already in the graph/);
+assert.throws(() => graph.addEdge({ a, b }), /parallel/);
+assert.throws(() => graph.addEdge({ a: b, b: a }), /parallel/, "undirected b → a is the same pair");
+assert.strictEqual(graph.findEdge(b, a), ab);
+assert.deepStrictEqual(graph.neighbors(b), [a, c]);
+assert.strictEqual(graph.degree(b), 2);
+
+// Events come with the change, and 'change' follows every one
+const events = [];
+graph.on('change', event => events.push(event.type));
+const stop = graph.on('noderemoved', ({ node, index }) => events.push(`removed ${node.id} at ${index}`));
+assert.deepStrictEqual(graph.removeNode(b), b);
+assert.deepStrictEqual(events, ['edgeremoved', 'edgeremoved', 'removed 2 at 1', 'noderemoved']);
+assert.strictEqual(graph.edges.length, 0, "removing a node removes its edges");
+assert.strictEqual(graph.removeNode(b), null);
+stop();
+events.length = 0;
+graph.removeNode(d);
+assert.deepStrictEqual(events, ['noderemoved']);
+
+// Directed graphs allow a → b next to b → a, until they become undirected
+graph = new Graph({ directed: true });
+const [x, y, z] = [graph.addNode(), graph.addNode(), graph.addNode()];
+const xy = graph.addEdge({ a: x, b: y });
+const yx = graph.addEdge({ a: y, b: x });
+graph.addEdge({ a: y, b: z });
+assert.deepStrictEqual(graph.neighbors(y), [x, z]);
+assert.strictEqual(graph.inDegree(x), 1);
+assert.strictEqual(graph.outDegree(y), 2);
+assert.throws(() => graph.setMode({ directed: false }), /would be parallel/);
+assert.strictEqual(graph.directed, true);
+graph.removeEdge(yx);
+const modes = [];
+graph.on('modechanged', mode => modes.push(mode));
+graph.setMode({ directed: false, weighted: true });
+graph.setMode({ directed: false });
+assert.deepStrictEqual(modes, [{ directed: false, weighted: true }]);
+assert.strictEqual(graph.findEdge(y, x), xy);
+
+// clear() empties everything and starts ids over
+let cleared = 0;
+graph.on('cleared', () => cleared++);
+graph.clear();
+assert.strictEqual(cleared, 1);
+assert.deepStrictEqual([graph.nodes.length, graph.edges.length], [0, 0]);
+assert.strictEqual(graph.hasNode(x), false);
+assert.strictEqual(graph.addNode().id, 1);
+
+console.log("graph: all checks passed");
@@ -0,0 +1,65 @@
+// Every representation view, applied without edits, must give back the same graph.
+// Loads the sketch without p5, only the text formats are exercised:
+//
+//   node test/representations.test.js
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const context = vm.createContext({ console, abs: Math.abs, min: Math.min, max: Math.max });
+for (const file of ['graph.js', 'sketch.js']) {
+  vm.runInContext(fs.readFileSync(path.join(__dirname, '..', file), 'utf8'), context, { filename: file });
+}
+const { graph, Node, Edge, REPRESENTATIONS, formatRepresentation, parseRepresentation, countDroppedZeroEdges } =
+  vm.runInContext('({ graph, Node, Edge, REPRESENTATIONS, formatRepresentation, parseRepresentation, countDroppedZeroEdges })', context);
+
+function build(directed, weighted, links) {
+  graph.clear();
+  graph.setMode({ directed, weighted });
+  const made = [1, 2, 3, 4].map(i => graph.addNode(new Node(i * 10, 0)));
+  for (const [a, b, weight] of links) graph.addEdge(new Edge(made[a], made[b], weight));
+}
+function describeGraph() {
+  return edges().map(edge => `${edge.a.id}>${edge.b.id}` + (graph.weighted ? `:${edge.weight}` : "")).sort();
+}
+function describeParsed(parsed) {
+  return parsed.edges.map(e => {
+    let [a, b] = [parsed.ids[e.from], parsed.ids[e.to]];
+    if (!parsed.directed && a > b) [a, b] = [b, a];
+    return `${a}>${b}` + (parsed.weighted ? `:${e.weight}` : "");
+  }).sort();
+}
+function edges() {
+  // Undirected edges read back from either end, so name them low id first
+  return graph.edges.map(edge => !graph.directed && edge.a.id > edge.b.id ? { a: edge.b, b: edge.a, weight: edge.weight } : edge);
+}
+function roundTrip(format) {
+  const parsed = parseRepresentation(format, formatRepresentation(format));
+  assert.strictEqual(parsed.directed, graph.directed, `${format}: directed`);
+  assert.strictEqual(parsed.weighted, graph.weighted, `${format}: weighted`);
+  assert.deepStrictEqual(describeParsed(parsed), describeGraph(), `${format}: edges`);
+}
+
+const cases = [
+  { directed: false, weighted: false, links: [[0, 1], [1, 2], [3, 0]] },
+  { directed: true, weighted: false, links: [[0, 1], [1, 0], [2, 3]] },
+  { directed: false, weighted: true, links: [[0, 1, 2.5], [1, 2, -3], [3, 0, 7]] },
+  { directed: true, weighted: true, links: [[0, 1, 2.5], [1, 0, 4], [2, 3, 12]] },
+  { directed: true, weighted: false, links: [] },
+];
+for (const { directed, weighted, links } of cases) {
+  build(directed, weighted, links);
+  for (const format of REPRESENTATIONS) roundTrip(format);
+}
+
+// Weight 0 can't be written in a matrix: the incidence matrix refuses it, the
+// adjacency matrix reports the edges it would lose
+build(false, true, [[0, 1, 0], [1, 2, 5]]);
+assert.throws(() => parseRepresentation('Incidence matrix', formatRepresentation('Incidence matrix')), /weight 0/);
+const matrix = formatRepresentation('Adjacency matrix');
+assert.match(matrix, /^# 1 edge\(s\) of weight 0/);
+assert.strictEqual(countDroppedZeroEdges(parseRepresentation('Adjacency matrix', matrix)), 1);
+for (const format of ['Adjacency list', 'Edge list']) roundTrip(format);
+
+console.log("representations: all round trips passed");